@@ -0,0 +1,177 @@
+import Joi from 'joi';
+import { StepRegistry, templated } from './step-registry.js';
+
+const fileSchema = Joi.object({
+  path: Joi.string().required(),
+  content: Joi.string().allow('').required(),
+  language: Joi.string()
+}).unknown(true);
+
+const result = (type, data) => ({
+  type,
+  data,
+  timestamp: new Date().toISOString()
+});
+
+// Generated files are kept in the artifact store when there is one; results
+// then list { path, artifact } and later steps load the content back
+async function storeFiles(files, artifacts) {
+  return Promise.all(files.map(async ({ content, ...file }) => {
+    if (typeof content !== 'string') return { ...file, content };
+    const { name, size } = await artifacts.save({
+      name: file.path,
+      content,
+      contentType: 'text/plain',
+      kind: 'file'
+    });
+    return { ...file, artifact: name, size };
+  }));
+}
+
+async function loadFiles(files, artifacts) {
+  return Promise.all(files.map(async file => {
+    if (file.content !== undefined || !file.artifact) return file;
+    if (!artifacts) {
+      throw new Error(`File ${file.path} refers to artifact ${file.artifact} but no artifact store is configured`);
+    }
+    return { ...file, content: (await artifacts.read(file.artifact)).toString('utf-8') };
+  }));
+}
+
+export function registerBuiltinSteps(registry) {
+  return registry
+    .register('analyze', {
+      description: 'Analyze the requirements and the repository',
+      resumable: true,
+      integrations: ['taskMaster', 'github'],
+      parameters: Joi.object({
+        context: Joi.any(),
+        repository: Joi.alternatives(Joi.string(), Joi.object())
+      }).unknown(true),
+      handler: async ({ integration, parameters, workflow, signal }) =>
+        result('analysis', await integration.analyzeRequirements(workflow.instruction, parameters, { signal }))
+    })
+    .register('generate_code', {
+      description: 'Generate code for the instruction',
+      resumable: true,
+      integrations: ['taskMaster', 'github'],
+      parameters: Joi.object({
+        context: Joi.any(),
+        language: Joi.string(),
+        files: templated(Joi.array().items(fileSchema))
+      }).unknown(true),
+      handler: async ({ integration, parameters, workflow, signal, artifacts }) => {
+        const generated = await integration.generateCode(workflow.instruction, parameters, { signal });
+        if (!artifacts || !Array.isArray(generated?.files)) return result('code_generation', generated);
+        // The raw completion and its code blocks repeat the file contents, so
+        // only the stored files are kept
+        const stored = { ...generated, files: await storeFiles(generated.files, artifacts) };
+        delete stored.generatedCode;
+        delete stored.codeBlocks;
+        return result('code_generation', stored);
+      }
+    })
+    .register('run_tests', {
+      description: 'Run browser and end-to-end tests',
+      resumable: true,
+      integrations: ['playwright'],
+      parameters: Joi.object({
+        testSuite: Joi.string(),
+        testFiles: templated(Joi.array().items(Joi.string())),
+        customTests: templated(Joi.array().items(Joi.object().unknown(true))),
+        baseUrl: templated(Joi.string().uri())
+      }).unknown(true),
+      handler: async ({ integration, parameters, signal, artifacts }) => {
+        const testResults = await integration.runTests(parameters, { signal, artifacts });
+        if (!artifacts) return result('test_results', testResults);
+
+        const report = await artifacts.save({
+          name: 'report.json',
+          content: JSON.stringify(testResults, null, 2),
+          contentType: 'application/json',
+          kind: 'report'
+        });
+        return result('test_results', { ...testResults, report: report.name });
+      }
+    })
+    .register('commit_changes', {
+      description: 'Commit files to a branch, creating the branch when needed',
+      integrations: ['github'],
+      parameters: Joi.object({
+        message: Joi.string(),
+        branch: Joi.string(),
+        files: templated(Joi.array().items(fileSchema))
+      }).unknown(true),
+      handler: async ({ integration, parameters, workflow, signal, artifacts }) =>
+        result('commit', await integration.commitChanges({
+          message: parameters.message || `Automated commit for workflow ${workflow.id}`,
+          files: await loadFiles(parameters.files || [], artifacts),
+          branch: parameters.branch || 'main'
+        }, { signal })),
+      compensation: {
+        method: 'revertCommit',
+        run: (integration, record) => integration.revertCommit(record.result.data)
+      }
+    })
+    .register('create_pull_request', {
+      description: 'Open a pull request from the head branch',
+      integrations: ['github'],
+      parameters: Joi.object({
+        title: Joi.string(),
+        body: Joi.string().allow(''),
+        head: Joi.string().required(),
+        base: Joi.string()
+      }).unknown(true),
+      handler: async ({ integration, parameters, workflow, signal }) =>
+        result('pull_request', await integration.createPullRequest({
+          title: parameters.title || `Automated changes for workflow ${workflow.id}`,
+          body: parameters.body ?? workflow.instruction,
+          head: parameters.head,
+          base: parameters.base || 'main'
+        }, { signal })),
+      compensation: {
+        method: 'closePullRequest',
+        run: (integration, record) => integration.closePullRequest(record.result.data)
+      }
+    })
+    .register('monitor', {
+      description: 'Set up monitoring, alerts and dashboards',
+      resumable: true,
+      integrations: ['phoenix'],
+      parameters: Joi.object({
+        alerts: templated(Joi.array()),
+        thresholds: templated(Joi.object({
+          errorRate: Joi.number().min(0).max(1),
+          responseTime: Joi.number().integer().min(0),
+          memoryUsage: Joi.number().min(0).max(100)
+        }).unknown(true)),
+        notifications: templated(Joi.object().unknown(true)),
+        dashboards: templated(Joi.array().items(Joi.string())),
+        email: templated(Joi.string().email())
+      }).unknown(true),
+      handler: async ({ integration, parameters, workflow, signal }) =>
+        result('monitoring', await integration.setupMonitoring(workflow.id, parameters, { signal })),
+      compensation: {
+        method: 'teardownMonitoring',
+        run: (integration, record, workflow) => integration.teardownMonitoring(workflow.id)
+      }
+    })
+    .register('deploy', {
+      description: 'Deploy a branch to an environment',
+      integrations: ['github'],
+      parameters: Joi.object({
+        environment: templated(Joi.string().valid('development', 'staging', 'production')),
+        branch: Joi.string()
+      }).unknown(true),
+      handler: async ({ integration, parameters, signal }) =>
+        result('deployment', await integration.deploy(parameters, { signal })),
+      compensation: {
+        method: 'rollbackDeployment',
+        run: (integration, record) => integration.rollbackDeployment(record.result.data)
+      }
+    });
+}
+
+// Used wherever no registry is passed in; modules add their own step types
+// with defaultStepRegistry.register()
+export const defaultStepRegistry = registerBuiltinSteps(new StepRegistry());
@@ -1,19 +1,90 @@
 import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
 import winston from 'winston';
 import { v4 as uuidv4 } from 'uuid';
 import { WorkflowExecutor } from './workflow-executor.js';
 import { TaskQueue } from './task-queue.js';
-import { StateManager } from './state-manager.js';
+import { StateManager, FINISHED_STATUSES } from './state-manager.js';
+import { TemplateRegistry } from './template-registry.js';
+import { queryWorkflows } from './workflow-query.js';
+import { WorkflowScheduler } from './workflow-scheduler.js';
+import { createStorage, ArtifactStore } from '../storage/index.js';
+import {
+  PlanValidationError,
+  validatePlan,
+  isStepResumable,
+  resolveStepDependencies
+} from './plan-schema.js';
+import { defaultStepRegistry } from './builtin-steps.js';
+import { extractJsonPlan } from '../utils/plan-extractor.js';
+import { runWithLogContext } from '../utils/log-context.js';
+import { WorkflowLogCapture, filterLogLevel } from '../utils/workflow-log-capture.js';
+
+const MAX_PLANNING_ATTEMPTS = 2;
+const DEFAULT_TEMPLATES_DIRECTORY = fileURLToPath(new URL('../../config/workflow-templates', import.meta.url));
 
 export class OrchestrationEngine extends EventEmitter {
-  constructor({ integrations, logger }) {
+  constructor({ integrations, logger, config = {}, stepRegistry = defaultStepRegistry }) {
     super();
     this.integrations = integrations;
     this.logger = logger;
+    this.stepRegistry = stepRegistry;
+    this.config = {
+      planTtl: 60 * 60 * 1000, // 1 hour
+      deadlineFactor: 3, // times the plan's estimatedDuration
+      maxParallelSteps: 3,
+      ...config,
+      templatesDirectory: config.templatesDirectory || DEFAULT_TEMPLATES_DIRECTORY,
+      approval: {
+        stepTypes: [],
+        environments: [],
+        branches: [],
+        timeout: 24 * 60 * 60 * 1000, // 24 hours
+        ...config.approval
+      },
+      retention: {
+        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+        maxEntries: 1000,
+        cleanupInterval: 60 * 60 * 1000, // 1 hour
+        ...config.retention
+      },
+      storage: {
+        type: 'memory',
+        ...config.storage
+      },
+      scheduler: {
+        maxConcurrent: 5,
+        typeLimits: {},
+        ...config.scheduler
+      },
+      // Workflows of the same type whose key fields match share a concurrency
+      // group; a newer submission supersedes the in-flight one or is skipped
+      concurrency: {
+        strategy: 'supersede',
+        debounce: 0,
+        ...config.concurrency,
+        keys: {
+          ci_cd: ['repository', 'branch'],
+          pr_review: ['repository', 'pr_number'],
+          ...config.concurrency?.keys
+        }
+      }
+    };
     this.workflowExecutor = null;
+    this.artifactStore = null;
+    this.logCapture = null;
     this.taskQueue = null;
+    this.scheduler = null;
     this.stateManager = null;
+    this.templateRegistry = null;
     this.activeWorkflows = new Map();
+    this.pendingPlans = new Map();
+    this.workflowCompletions = new Map();
+    this.concurrencyGroups = new Map();
+    this.debouncedStarts = new Map();
+    this.deadlines = new Map();
+    this.rollingBack = new Set();
+    this.cleanupTimer = null;
     this.isInitialized = false;
   }
 
@@ -21,38 +92,275 @@ export class OrchestrationEngine extends EventEmitter {
     this.logger.info('Initializing Orchestration Engine...');
     
     // Initialize core components
-    this.workflowExecutor = new WorkflowExecutor(this.integrations, this.logger);
-    this.taskQueue = new TaskQueue();
-    this.stateManager = new StateManager();
+    // Everything logged for a workflow is kept per workflow for its logs endpoint
+    this.logCapture = new WorkflowLogCapture({ maxEntries: this.config.logs?.maxEntries });
+    this.logger.add(this.logCapture);
+    // Without an artifacts directory, step results keep their blobs inline
+    if (this.config.artifacts?.directory) {
+      this.artifactStore = new ArtifactStore({ directory: this.config.artifacts.directory });
+      await this.artifactStore.open();
+    }
+    this.scheduler = new WorkflowScheduler(this.config.scheduler);
+    this.workflowExecutor = new WorkflowExecutor(this.integrations, this.logger, {
+      approval: this.config.approval,
+      maxParallelSteps: this.config.maxParallelSteps,
+      retry: this.config.retry,
+      stepRegistry: this.stepRegistry,
+      artifactStore: this.artifactStore,
+      scheduler: this.scheduler
+    });
+    this.taskQueue = new TaskQueue({
+      stepRegistry: this.stepRegistry,
+      integrations: this.integrations
+    });
+    this.stateManager = new StateManager({
+      retention: this.config.retention,
+      storage: createStorage(this.config.storage)
+    });
+    this.templateRegistry = new TemplateRegistry({
+      directory: this.config.templatesDirectory,
+      logger: this.logger
+    });
     
     await this.workflowExecutor.initialize();
     await this.taskQueue.initialize();
     await this.stateManager.initialize();
+    await this.templateRegistry.initialize();
+
+    for (const pendingPlan of this.stateManager.listPendingPlans()) {
+      this.pendingPlans.set(pendingPlan.planId, pendingPlan);
+    }
     
     // Set up event listeners
     this.setupEventListeners();
     
+    // Pick up workflows that were still in flight when the process stopped
+    this.recoverWorkflows();
+
+    // Finished workflows are kept in the state manager until they age out
+    this.cleanupTimer = setInterval(() => this.cleanup(), this.config.retention.cleanupInterval);
+    this.cleanupTimer.unref?.();
+    
     this.isInitialized = true;
     this.logger.info('Orchestration Engine initialized successfully');
   }
 
   setupEventListeners() {
     this.workflowExecutor.on('workflow:started', (data) => {
+      this.persistWorkflow(data.workflowId);
       this.emit('workflow:started', data);
     });
     
+    // Time spent waiting for a human does not count toward the deadline
+    this.workflowExecutor.on('step:awaiting_approval', (data) => {
+      this.pauseDeadline(data.workflowId);
+      this.persistWorkflow(data.workflowId);
+      this.emit('step:awaiting_approval', data);
+    });
+    
+    // Step records change in place, so each transition is written through
+    // and serves as the checkpoint a restarted orchestrator resumes from
+    for (const event of ['step:started', 'step:completed', 'step:failed', 'step:skipped', 'step:cancelled', 'step:compensated']) {
+      this.workflowExecutor.on(event, (data) => {
+        if (event === 'step:started') {
+          this.resumeDeadline(data.workflowId);
+        }
+        this.persistWorkflow(data.workflowId);
+        this.emit(event, data);
+      });
+    }
+    
     this.workflowExecutor.on('workflow:completed', (data) => {
-      this.activeWorkflows.delete(data.workflowId);
       this.emit('workflow:completed', data);
     });
     
     this.workflowExecutor.on('workflow:failed', (data) => {
-      this.activeWorkflows.delete(data.workflowId);
       this.emit('workflow:failed', data);
     });
   }
 
   async executeWorkflow(instruction, options = {}) {
+    const { workflowId } = this.submitWorkflow(instruction, options);
+    return this.waitForWorkflow(workflowId);
+  }
+
+  async planWorkflow(instruction, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Orchestration Engine not initialized');
+    }
+
+    this.prunePendingPlans();
+
+    const planning = { attempts: [] };
+    const plan = await this.createWorkflowPlan(instruction, options, planning);
+    const createdAt = new Date();
+
+    const pendingPlan = {
+      planId: uuidv4(),
+      instruction,
+      options,
+      plan,
+      planning,
+      estimatedDuration: plan.estimatedDuration,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + this.config.planTtl).toISOString()
+    };
+
+    this.pendingPlans.set(pendingPlan.planId, pendingPlan);
+    this.stateManager.savePendingPlan(pendingPlan);
+    this.logger.info(`Created plan ${pendingPlan.planId} with ${plan.steps.length} steps for review`);
+
+    return pendingPlan;
+  }
+
+  async executePlan(planId, editedPlan = null) {
+    const { workflowId } = this.submitPlan(planId, editedPlan);
+    return this.waitForWorkflow(workflowId);
+  }
+
+  submitPlan(planId, editedPlan = null) {
+    this.prunePendingPlans();
+
+    const pendingPlan = this.pendingPlans.get(planId);
+    if (!pendingPlan) {
+      throw new Error(`Plan ${planId} not found`);
+    }
+
+    // An edited plan goes through the same validation as an AI-generated one
+    const plan = editedPlan ? this.validateWorkflowPlan(editedPlan) : pendingPlan.plan;
+    this.pendingPlans.delete(planId);
+    this.stateManager.deletePendingPlan(planId);
+
+    return this.submitWorkflow(pendingPlan.instruction, pendingPlan.options, {
+      plan,
+      planning: {
+        ...pendingPlan.planning,
+        planId,
+        edited: Boolean(editedPlan)
+      }
+    });
+  }
+
+  submitDefinition(definition, options = {}) {
+    return this.submitWorkflow(definition.description, { ...options, definition: definition.path }, {
+      plan: definition.plan,
+      planning: { attempts: [], definition: definition.path }
+    });
+  }
+
+  // Runs the stored plan of a finished workflow again as a new workflow
+  submitRerun(workflowId) {
+    const original = this.getFinishedWorkflow(workflowId);
+
+    return this.submitWorkflow(original.instruction, original.options, {
+      plan: original.plan,
+      planning: original.planning,
+      parentWorkflowId: workflowId
+    });
+  }
+
+  // Like submitRerun, but reuses the results of completed steps. fromStep and
+  // every step depending on it run again; without fromStep only the steps that
+  // did not complete run.
+  submitRetry(workflowId, fromStep = null) {
+    const original = this.getFinishedWorkflow(workflowId);
+    const stepIds = original.plan.steps.map(step => step.id);
+    const completed = new Map(original.steps
+      .filter(record => record.status === 'completed')
+      .map(record => [record.id, record]));
+
+    if (fromStep !== null && !stepIds.includes(fromStep)) {
+      throw new Error(`Step ${fromStep} is not part of workflow ${workflowId}`);
+    }
+
+    const rerun = fromStep === null
+      ? new Set(stepIds.filter(stepId => !completed.has(stepId)))
+      : this.findDependentSteps(original.plan.steps, fromStep);
+    if (rerun.size === 0) {
+      throw new Error(`Workflow ${workflowId} has no incomplete step to retry from`);
+    }
+
+    const reusedSteps = stepIds
+      .filter(stepId => completed.has(stepId) && !rerun.has(stepId))
+      .map(stepId => ({ ...completed.get(stepId), reusedFrom: workflowId }));
+
+    return this.submitWorkflow(original.instruction, original.options, {
+      plan: original.plan,
+      planning: original.planning,
+      parentWorkflowId: workflowId,
+      retriedFromStep: fromStep ?? stepIds.find(stepId => rerun.has(stepId)),
+      steps: reusedSteps
+    });
+  }
+
+  // The step itself plus every step that transitively depends on it
+  findDependentSteps(steps, stepId) {
+    const dependencies = resolveStepDependencies(steps);
+    const dependents = new Set([stepId]);
+
+    let grown = true;
+    while (grown) {
+      grown = false;
+      for (const [id, required] of dependencies) {
+        if (!dependents.has(id) && required.some(dependency => dependents.has(dependency))) {
+          dependents.add(id);
+          grown = true;
+        }
+      }
+    }
+    return dependents;
+  }
+
+  getFinishedWorkflow(workflowId) {
+    const workflow = this.findWorkflow(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+    if (!FINISHED_STATUSES.includes(workflow.status)) {
+      throw new Error(`Workflow ${workflowId} has not finished yet`);
+    }
+    if (!workflow.plan) {
+      throw new Error(`Workflow ${workflowId} has no plan to run again`);
+    }
+    return workflow;
+  }
+
+  // Runs the compensations a failed workflow with a manual rollbackStrategy
+  // left pending, or retries the ones that failed during an automatic rollback
+  async rollbackWorkflow(workflowId) {
+    const workflow = this.getFinishedWorkflow(workflowId);
+    const outstanding = (workflow.compensations || [])
+      .filter(compensation => compensation.status === 'pending' || compensation.status === 'failed');
+    if (outstanding.length === 0) {
+      throw new Error(`Workflow ${workflowId} has nothing to roll back`);
+    }
+    if (this.rollingBack.has(workflowId)) {
+      throw new Error(`Workflow ${workflowId} is already being rolled back`);
+    }
+
+    this.rollingBack.add(workflowId);
+    try {
+      await this.workflowExecutor.runCompensations(workflow);
+    } finally {
+      this.rollingBack.delete(workflowId);
+      this.stateManager.saveWorkflowState(workflowId, workflow);
+    }
+    return workflow;
+  }
+
+  prunePendingPlans() {
+    const now = Date.now();
+    for (const [planId, pendingPlan] of this.pendingPlans) {
+      if (new Date(pendingPlan.expiresAt).getTime() <= now) {
+        this.pendingPlans.delete(planId);
+        this.stateManager.deletePendingPlan(planId);
+      }
+    }
+  }
+
+  // Registers the workflow and runs planning and execution in the background.
+  // Callers that need the outcome use waitForWorkflow.
+  submitWorkflow(instruction, options = {}, prepared = null) {
     if (!this.isInitialized) {
       throw new Error('Orchestration Engine not initialized');
     }
@@ -64,48 +372,372 @@ export class OrchestrationEngine extends EventEmitter {
       options,
       status: 'pending',
       createdAt: new Date().toISOString(),
-      steps: []
+      ...(prepared?.parentWorkflowId && { parentWorkflowId: prepared.parentWorkflowId }),
+      ...(prepared?.retriedFromStep && { retriedFromStep: prepared.retriedFromStep }),
+      steps: prepared?.steps || []
     };
 
+    const concurrencyKey = this.getConcurrencyKey(options);
+    if (concurrencyKey) {
+      const current = this.activeWorkflows.get(this.concurrencyGroups.get(concurrencyKey));
+      if (current && this.config.concurrency.strategy === 'skip') {
+        this.logger.info(`Skipping workflow for ${concurrencyKey}, ${current.id} is already in flight`);
+        return { workflowId: current.id, status: current.status, deduplicated: true };
+      }
+
+      workflow.concurrencyKey = concurrencyKey;
+      this.concurrencyGroups.set(concurrencyKey, workflowId);
+      if (current) {
+        this.supersedeWorkflow(current, workflowId);
+      }
+    }
+
     this.activeWorkflows.set(workflowId, workflow);
-    this.logger.info(`Starting workflow ${workflowId}: ${instruction}`);
+    this.persistWorkflow(workflowId);
+    this.logger.info(`Starting workflow ${workflowId}: ${instruction}`, { workflowId });
+    this.startWorkflow(workflow, prepared, concurrencyKey ? this.config.concurrency.debounce : 0);
+
+    return { workflowId, status: workflow.status };
+  }
+
+  startWorkflow(workflow, prepared, delay = 0) {
+    // A debounced workflow waits out the window first; a newer submission for
+    // the same key releases it early as superseded
+    const ready = delay > 0
+      ? new Promise(resolve => {
+        const timer = setTimeout(resolve, delay);
+        this.debouncedStarts.set(workflow.id, { timer, resolve });
+      }).finally(() => this.debouncedStarts.delete(workflow.id))
+      : Promise.resolve();
+
+    const completion = ready
+      .then(() => runWithLogContext({ workflowId: workflow.id }, () => this.processWorkflow(workflow, prepared)))
+      .finally(() => this.workflowCompletions.delete(workflow.id));
+    this.workflowCompletions.set(workflow.id, completion);
+  }
+
+  getConcurrencyKey(options) {
+    const fields = this.config.concurrency.keys[options.type];
+    if (!fields) return null;
+
+    const values = fields.map(field => options[field]);
+    if (values.some(value => value === undefined || value === null)) return null;
+
+    // Different repository-defined workflows for the same event run side by side
+    return [options.type, options.definition, ...values]
+      .filter(part => part !== undefined)
+      .join(':');
+  }
+
+  supersedeWorkflow(workflow, supersededBy) {
+    this.logger.info(`Workflow ${workflow.id} superseded by ${supersededBy}`);
+    workflow.supersededBy = supersededBy;
+    this.stopWorkflow(workflow, 'superseded').catch(error => {
+      this.logger.warn(`Failed to supersede workflow ${workflow.id}: ${error.message}`);
+    });
+  }
+
+  recoverWorkflows() {
+    const unfinished = this.stateManager.listWorkflowStates()
+      .filter(state => !FINISHED_STATUSES.includes(state.status));
+
+    for (const state of unfinished) {
+      const { lastUpdated, ...stored } = state;
+      const workflow = { ...stored, steps: (stored.steps || []).map(step => ({ ...step })) };
+      const now = new Date().toISOString();
+
+      if (workflow.status === 'cancelling') {
+        this.finishWorkflow(workflow);
+        continue;
+      }
+
+      // A step that started but never checkpointed a result may already have
+      // had its side effects, so only resumable steps are run again
+      const unsafeStep = workflow.steps.find(step =>
+        (step.status === 'running' || step.status === 'failed') && !isStepResumable(step, this.stepRegistry));
+
+      if (unsafeStep) {
+        unsafeStep.status = 'interrupted';
+        Object.assign(workflow, {
+          status: 'interrupted',
+          interruptedAt: now,
+          error: `Step ${unsafeStep.id} was running when the orchestrator stopped and is not resumable`
+        });
+        this.logger.warn(`Workflow ${workflow.id} interrupted at step ${unsafeStep.id} (last checkpoint ${lastUpdated})`);
+        this.finishWorkflow(workflow);
+        continue;
+      }
+
+      workflow.resumedAt = now;
+      this.activeWorkflows.set(workflow.id, workflow);
+      if (workflow.concurrencyKey) {
+        this.concurrencyGroups.set(workflow.concurrencyKey, workflow.id);
+      }
+      this.persistWorkflow(workflow.id);
+      this.logger.info(`Resuming workflow ${workflow.id} from its last checkpoint`);
+      this.startWorkflow(workflow, workflow.plan ? { plan: workflow.plan, planning: workflow.planning } : null);
+    }
+  }
+
+  async waitForWorkflow(workflowId, timeout = null) {
+    const completion = this.workflowCompletions.get(workflowId);
+    if (!completion) {
+      return this.buildWorkflowResult(await this.getWorkflowStatus(workflowId));
+    }
+
+    if (timeout === null) {
+      return completion;
+    }
+
+    // Resolves with null when the workflow is still running after the timeout
+    let timer;
+    const expired = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), timeout);
+    });
+    return Promise.race([completion, expired]).finally(() => clearTimeout(timer));
+  }
+
+  async processWorkflow(workflow, prepared) {
+    const { id: workflowId, instruction, options } = workflow;
 
     try {
-      // Parse instruction and create workflow plan
-      const plan = await this.createWorkflowPlan(instruction, options);
-      workflow.plan = plan;
+      if (this.isCancelled(workflow)) {
+        throw new Error(this.describeCancellation(workflow));
+      }
+
+      // Parse instruction and create workflow plan, unless it was reviewed beforehand
+      if (prepared) {
+        workflow.planning = prepared.planning;
+        workflow.plan = prepared.plan;
+      } else {
+        workflow.planning = { attempts: [] };
+        workflow.plan = await this.createWorkflowPlan(instruction, options, workflow.planning);
+      }
+      if (this.isCancelled(workflow)) {
+        throw new Error(this.describeCancellation(workflow));
+      }
+
+      // Wait for a free slot; the plan's priority decides the queue order
+      workflow.status = 'queued';
+      this.persistWorkflow(workflowId);
+      await this.scheduler.acquire(workflow);
+
       workflow.status = 'running';
+      this.persistWorkflow(workflowId);
 
       // Execute workflow
-      const result = await this.workflowExecutor.execute(workflow);
+      const result = await this.executeWithDeadline(workflow);
       
-      workflow.status = 'completed';
       workflow.result = result;
-      workflow.completedAt = new Date().toISOString();
-
-      return {
-        success: true,
-        workflowId,
-        result
-      };
+      if (!this.isCancelled(workflow)) {
+        workflow.status = 'completed';
+        workflow.completedAt = new Date().toISOString();
+      }
     } catch (error) {
-      workflow.status = 'failed';
+      if (!this.isCancelled(workflow) && workflow.status !== 'timed_out') {
+        workflow.status = 'failed';
+        workflow.failedAt = new Date().toISOString();
+      }
       workflow.error = error.message;
-      workflow.failedAt = new Date().toISOString();
+      if (error instanceof PlanValidationError) {
+        workflow.validationErrors = error.details;
+      }
       
       this.logger.error(`Workflow ${workflowId} failed:`, error);
-      
+    }
+
+    this.scheduler.release(workflowId);
+    this.finishWorkflow(workflow);
+    return this.buildWorkflowResult(workflow);
+  }
+
+  // Races execution against the workflow deadline: options.timeout, or the
+  // plan's estimatedDuration (seconds) times the configured safety factor
+  async executeWithDeadline(workflow) {
+    const { estimatedDuration } = workflow.plan;
+    const timeout = workflow.options?.timeout ||
+      (estimatedDuration ? estimatedDuration * 1000 * this.config.deadlineFactor : null);
+    if (!timeout) {
+      return this.workflowExecutor.execute(workflow);
+    }
+    workflow.timeout = timeout;
+
+    const execution = this.workflowExecutor.execute(workflow);
+    const expired = new Promise((resolve, reject) => {
+      this.deadlines.set(workflow.id, { workflow, timeout, remaining: timeout, timer: null, expire: reject });
+    });
+    this.resumeDeadline(workflow.id);
+
+    try {
+      return await Promise.race([execution, expired]);
+    } catch (error) {
+      if (error.code === 'WORKFLOW_TIMEOUT') {
+        // The step in flight is aborted; nothing after it runs
+        execution.catch(() => {});
+        await this.timeOutWorkflow(workflow, error);
+      }
+      throw error;
+    } finally {
+      clearTimeout(this.deadlines.get(workflow.id)?.timer);
+      this.deadlines.delete(workflow.id);
+    }
+  }
+
+  resumeDeadline(workflowId) {
+    const deadline = this.deadlines.get(workflowId);
+    if (!deadline || deadline.timer) return;
+
+    deadline.startedAt = Date.now();
+    deadline.workflow.deadline = new Date(deadline.startedAt + deadline.remaining).toISOString();
+    deadline.timer = setTimeout(() => {
+      const error = new Error(`Workflow ${workflowId} exceeded its deadline of ${deadline.timeout}ms`);
+      error.code = 'WORKFLOW_TIMEOUT';
+      deadline.expire(error);
+    }, deadline.remaining);
+  }
+
+  pauseDeadline(workflowId) {
+    const deadline = this.deadlines.get(workflowId);
+    if (!deadline || !deadline.timer) return;
+
+    clearTimeout(deadline.timer);
+    deadline.timer = null;
+    deadline.remaining -= Date.now() - deadline.startedAt;
+    deadline.workflow.deadline = null;
+  }
+
+  async timeOutWorkflow(workflow, error) {
+    await this.workflowExecutor.cancel(workflow.id, error);
+    workflow.status = 'timed_out';
+    workflow.timedOutAt = new Date().toISOString();
+
+    // The step in flight is recorded as timed out and everything after it as skipped
+    const records = new Map(workflow.steps.map(record => [record.id, record]));
+    for (const step of workflow.plan.steps) {
+      const record = records.get(step.id);
+      if (!record) {
+        workflow.steps.push({ ...step, status: 'skipped' });
+      } else if (record.status === 'running') {
+        record.status = 'timed_out';
+      } else if (record.status === 'pending' || record.status === 'awaiting_approval' || record.status === 'cancelled') {
+        record.status = 'skipped';
+      }
+    }
+
+    this.logger.warn(`Workflow ${workflow.id} timed out after ${workflow.timeout}ms`);
+  }
+
+  isCancelled(workflow) {
+    return ['cancelling', 'cancelled', 'superseded'].includes(workflow.status);
+  }
+
+  describeCancellation(workflow) {
+    return workflow.status === 'superseded'
+      ? `Workflow ${workflow.id} was superseded by ${workflow.supersededBy}`
+      : `Workflow ${workflow.id} was cancelled`;
+  }
+
+  persistWorkflow(workflowId) {
+    const workflow = this.activeWorkflows.get(workflowId);
+    if (workflow) {
+      this.stateManager.saveWorkflowState(workflowId, workflow);
+    }
+  }
+
+  // Moves a finished workflow from the active set into history
+  finishWorkflow(workflow) {
+    if (workflow.status === 'cancelling') {
+      workflow.status = 'cancelled';
+      workflow.cancelledAt = workflow.cancelledAt || new Date().toISOString();
+    }
+
+    this.stateManager.saveWorkflowState(workflow.id, workflow);
+    this.stateManager.updateMetrics(workflow);
+    this.activeWorkflows.delete(workflow.id);
+    this.releaseConcurrencyGroup(workflow);
+    this.saveWorkflowLog(workflow.id);
+  }
+
+  // Keeps the captured log next to the workflow's other artifacts, so it
+  // survives a restart
+  saveWorkflowLog(workflowId) {
+    const entries = this.logCapture?.query(workflowId) || [];
+    if (!this.artifactStore || entries.length === 0) return;
+
+    this.artifactStore.save(workflowId, {
+      name: 'workflow.log',
+      content: entries.map(entry => JSON.stringify(entry)).join('\n'),
+      contentType: 'application/x-ndjson',
+      kind: 'log'
+    }).catch(error => {
+      this.logger.warn(`Failed to save the log of workflow ${workflowId}: ${error.message}`);
+    });
+  }
+
+  releaseConcurrencyGroup(workflow) {
+    if (workflow.concurrencyKey && this.concurrencyGroups.get(workflow.concurrencyKey) === workflow.id) {
+      this.concurrencyGroups.delete(workflow.concurrencyKey);
+    }
+  }
+
+  buildWorkflowResult(workflow) {
+    if (workflow.status === 'completed') {
       return {
-        success: false,
-        workflowId,
-        error: error.message
+        success: true,
+        workflowId: workflow.id,
+        result: workflow.result
       };
     }
+
+    return {
+      success: false,
+      workflowId: workflow.id,
+      error: workflow.error,
+      ...(workflow.validationErrors && { validationErrors: workflow.validationErrors })
+    };
   }
 
-  async createWorkflowPlan(instruction, options) {
+  async createWorkflowPlan(instruction, options, planning = { attempts: [] }) {
+    // Known triggers run a fixed template instead of asking the AI
+    const template = this.templateRegistry.resolve(options);
+    if (template) {
+      planning.template = template.name;
+      this.logger.info(`Using workflow template ${template.name}`);
+      return this.validateWorkflowPlan(this.templateRegistry.render(template, { ...options, instruction }));
+    }
+
     // Use Task Master AI to analyze instruction and create workflow plan
-    const prompt = `
+    const basePrompt = this.buildPlanningPrompt(instruction);
+    let prompt = basePrompt;
+
+    // A rejected plan gets one re-prompt with the validation errors before we give up
+    for (let attempt = 1; ; attempt++) {
+      const aiResponse = await this.integrations.taskMaster.generatePlan(prompt, options);
+      const planningAttempt = { errors: [], repairs: [] };
+      planning.attempts.push(planningAttempt);
+
+      try {
+        return this.parseWorkflowPlan(aiResponse, planningAttempt);
+      } catch (error) {
+        if (!(error instanceof PlanValidationError)) throw error;
+
+        planningAttempt.errors = error.details;
+        if (attempt >= MAX_PLANNING_ATTEMPTS) throw error;
+
+        this.logger.warn(`AI workflow plan rejected with ${error.details.length} errors, re-prompting`);
+        prompt = this.buildCorrectionPrompt(basePrompt, error.details);
+      }
+    }
+  }
+
+  // Makes a new step type available to plans, the planning prompt and the executor
+  registerStepType(type, definition) {
+    this.stepRegistry.register(type, definition);
+    return this;
+  }
+
+  buildPlanningPrompt(instruction) {
+    return `
 Analyze this development instruction and create a detailed workflow plan:
 "${instruction}"
 
@@ -115,6 +747,21 @@ Consider these available integrations:
 - Phoenix (monitoring, observability)
 - FastMCP (inter-service communication)
 
+Only use these step types:
+${this.stepRegistry.describeForPlanning()}
+
+Steps run in order by default. A step may list the ids of the steps it needs
+in "dependsOn" instead; steps whose dependencies are met run in parallel.
+A step may set "when" to a condition on earlier step results (by step id) or
+workflow options, e.g. "tests.data.failed == 0 && environment == 'production'";
+it is skipped when the condition is false.
+Parameters may pass earlier results forward with templates such as
+"{{ steps.generate.data.files }}". A step may name values from its own result
+in "outputs", e.g. { "files": "data.files" }, read as {{ steps.<id>.outputs.files }}.
+A step that should run once per value sets "matrix", e.g.
+{ "values": { "browser": ["chromium", "firefox", "webkit"] }, "maxParallel": 2 };
+each variant gets its values as parameters and as {{ matrix.browser }}.
+
 Create a step-by-step plan with:
 1. Code analysis/generation steps
 2. Testing requirements
@@ -122,98 +769,75 @@ Create a step-by-step plan with:
 4. Monitoring setup
 5. Deployment considerations
 
-Respond with a JSON workflow plan.
+Respond with a JSON workflow plan of this shape, using only the step types
+and integrations listed above:
+{
+  "steps": [
+    {
+      "id": "unique_step_id",
+      "type": "step_type",
+      "description": "What this step does",
+      "integration": "integration_for_the_step_type",
+      "parameters": {},
+      "timeout": 60000,
+      "retryCount": 2
+    }
+  ],
+  "estimatedDuration": 300,
+  "priority": "low | medium | high | critical",
+  "dependencies": [],
+  "rollbackStrategy": "automatic | manual | none"
+}
+Timeouts are in milliseconds, estimatedDuration in seconds.
 `;
+  }
+
+  buildCorrectionPrompt(prompt, errors) {
+    const problems = errors
+      .map(({ path, message }) => `- ${path || 'plan'}: ${message}`)
+      .join('\n');
 
-    const aiResponse = await this.integrations.taskMaster.generatePlan(prompt, options);
-    return this.parseWorkflowPlan(aiResponse);
+    return `${prompt}
+Your previous plan was rejected because of these validation errors:
+${problems}
+
+Respond with a corrected JSON workflow plan.
+`;
   }
 
-  parseWorkflowPlan(aiResponse) {
+  parseWorkflowPlan(aiResponse, planningAttempt = {}) {
     // Parse AI response and convert to executable workflow plan
+    let extracted;
     try {
-      const plan = JSON.parse(aiResponse);
-      return this.validateWorkflowPlan(plan);
+      extracted = extractJsonPlan(aiResponse);
     } catch (error) {
-      this.logger.warn('Failed to parse AI workflow plan, using fallback');
-      return this.createFallbackPlan();
+      throw new PlanValidationError('AI workflow plan is not valid JSON', [
+        { path: '', message: error.message }
+      ]);
+    }
+
+    planningAttempt.repairs = extracted.repairs;
+    if (extracted.repairs.length > 0) {
+      this.logger.info(`Repaired AI workflow plan: ${extracted.repairs.join(', ')}`);
     }
+
+    return this.validateWorkflowPlan(extracted.plan);
   }
 
   validateWorkflowPlan(plan) {
-    // Validate and sanitize workflow plan
-    const validatedPlan = {
-      steps: [],
-      estimatedDuration: plan.estimatedDuration || 300, // 5 minutes default
-      priority: plan.priority || 'medium',
-      dependencies: plan.dependencies || [],
-      rollbackStrategy: plan.rollbackStrategy || 'automatic'
-    };
-
-    if (plan.steps && Array.isArray(plan.steps)) {
-      validatedPlan.steps = plan.steps.map(step => ({
-        id: step.id || uuidv4(),
-        type: step.type,
-        description: step.description,
-        integration: step.integration,
-        parameters: step.parameters || {},
-        timeout: step.timeout || 60000,
-        retryCount: step.retryCount || 2
-      }));
+    const { plan: validatedPlan, errors } = validatePlan(plan, this.stepRegistry);
+    if (errors.length > 0) {
+      throw new PlanValidationError('Workflow plan failed validation', errors);
     }
-
     return validatedPlan;
   }
 
-  createFallbackPlan() {
-    return {
-      steps: [
-        {
-          id: uuidv4(),
-          type: 'analyze',
-          description: 'Analyze requirements',
-          integration: 'taskMaster',
-          parameters: {},
-          timeout: 30000,
-          retryCount: 1
-        },
-        {
-          id: uuidv4(),
-          type: 'generate_code',
-          description: 'Generate or modify code',
-          integration: 'taskMaster',
-          parameters: {},
-          timeout: 120000,
-          retryCount: 2
-        },
-        {
-          id: uuidv4(),
-          type: 'run_tests',
-          description: 'Execute test suite',
-          integration: 'playwright',
-          parameters: {},
-          timeout: 180000,
-          retryCount: 1
-        },
-        {
-          id: uuidv4(),
-          type: 'commit_changes',
-          description: 'Commit changes to repository',
-          integration: 'github',
-          parameters: {},
-          timeout: 30000,
-          retryCount: 2
-        }
-      ],
-      estimatedDuration: 360,
-      priority: 'medium',
-      dependencies: [],
-      rollbackStrategy: 'automatic'
-    };
+  findWorkflow(workflowId) {
+    return this.activeWorkflows.get(workflowId) || this.stateManager.getWorkflowState(workflowId);
   }
 
   async getWorkflowStatus(workflowId) {
-    const workflow = this.activeWorkflows.get(workflowId);
+    const workflow = this.findWorkflow(workflowId);
     if (!workflow) {
       throw new Error(`Workflow ${workflowId} not found`);
     }
@@ -226,16 +850,124 @@ Respond with a JSON workflow plan.
       throw new Error(`Workflow ${workflowId} not found`);
     }
 
-    if (workflow.status === 'running') {
-      await this.workflowExecutor.cancel(workflowId);
-      workflow.status = 'cancelled';
-      workflow.cancelledAt = new Date().toISOString();
+    return this.stopWorkflow(workflow, 'cancelled');
+  }
+
+  async stopWorkflow(workflow, status) {
+    if (workflow.status === 'running' || workflow.status === 'awaiting_approval') {
+      await this.workflowExecutor.cancel(workflow.id);
     }
+    workflow.status = status;
+    workflow.cancelledAt = new Date().toISOString();
+    this.scheduler.cancel(workflow.id, new Error(this.describeCancellation(workflow)));
 
-    this.activeWorkflows.delete(workflowId);
+    // Still-running planning or steps finish in the background and
+    // record the workflow in history through finishWorkflow
+    this.stateManager.saveWorkflowState(workflow.id, workflow);
+    this.activeWorkflows.delete(workflow.id);
+    this.releaseConcurrencyGroup(workflow);
+    this.emit('workflow:cancelled', { workflowId: workflow.id, status });
+
+    const debounced = this.debouncedStarts.get(workflow.id);
+    if (debounced) {
+      clearTimeout(debounced.timer);
+      debounced.resolve();
+    }
     return workflow;
   }
 
+  listWorkflows({ includeFinished = false } = {}) {
+    const workflows = Array.from(this.activeWorkflows.values());
+    if (!includeFinished) {
+      return workflows;
+    }
+
+    const finished = this.stateManager.listWorkflowStates()
+      .filter(workflow => !this.activeWorkflows.has(workflow.id));
+    return workflows.concat(finished);
+  }
+
+  searchWorkflows({ includeFinished = false, ...criteria } = {}) {
+    return queryWorkflows(this.listWorkflows({ includeFinished }), criteria);
+  }
+
+  // Artifacts go with the workflows the state manager no longer keeps
+  async cleanup() {
+    this.stateManager.cleanup();
+    this.logCapture.prune(workflowId => Boolean(this.findWorkflow(workflowId)));
+    try {
+      await this.artifactStore?.prune(workflowId => Boolean(this.findWorkflow(workflowId)));
+    } catch (error) {
+      this.logger.error('Failed to prune workflow artifacts:', error);
+    }
+  }
+
+  async listArtifacts(workflowId) {
+    await this.getWorkflowStatus(workflowId);
+    return this.artifactStore ? this.artifactStore.list(workflowId) : [];
+  }
+
+  async getArtifact(workflowId, name) {
+    await this.getWorkflowStatus(workflowId);
+    const artifact = await this.artifactStore?.get(workflowId, name);
+    if (!artifact) {
+      throw new Error(`Artifact ${name} of workflow ${workflowId} not found`);
+    }
+    return artifact;
+  }
+
+  // Entries at level or more severe; after a restart they come from the saved log
+  async getWorkflowLogs(workflowId, { level } = {}) {
+    await this.getWorkflowStatus(workflowId);
+    if (this.logCapture.has(workflowId) || !this.artifactStore) {
+      return this.logCapture.query(workflowId, { level });
+    }
+
+    const saved = (await this.artifactStore.list(workflowId))
+      .filter(artifact => artifact.kind === 'log' && !artifact.stepId);
+    if (saved.length === 0) return [];
+    const content = await this.artifactStore.read(workflowId, saved[saved.length - 1].name);
+    return filterLogLevel(content.toString('utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line)), level);
+  }
+
+  // Passes the entries so far, then each new one, to onEntry until the
+  // workflow finishes; finished resolves then, or right away for finished
+  // workflows. Call stop() to unsubscribe early.
+  async followWorkflowLogs(workflowId, { level } = {}, onEntry) {
+    const completion = this.workflowCompletions.get(workflowId);
+    if (!completion) {
+      (await this.getWorkflowLogs(workflowId, { level })).forEach(onEntry);
+      return { finished: Promise.resolve(), stop: () => {} };
+    }
+
+    this.logCapture.query(workflowId, { level }).forEach(onEntry);
+    const stop = this.logCapture.subscribe(workflowId, { level }, onEntry);
+    return { finished: completion.then(stop), stop };
+  }
+
+  async shutdown() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+    this.taskQueue?.stop();
+    for (const { timer } of this.debouncedStarts.values()) {
+      clearTimeout(timer);
+    }
+    if (this.logCapture) {
+      this.logger.remove(this.logCapture);
+    }
+    await this.stateManager?.close();
+  }
+
+  async approveStep(workflowId, stepId, decision) {
+    await this.getWorkflowStatus(workflowId);
+    return this.workflowExecutor.approveStep(workflowId, stepId, decision);
+  }
+
+  async rejectStep(workflowId, stepId, decision) {
+    await this.getWorkflowStatus(workflowId);
+    return this.workflowExecutor.rejectStep(workflowId, stepId, decision);
+  }
+
   async handleWebSocketMessage(message) {
     const { type, data } = message;
     
@@ -243,12 +975,33 @@ Respond with a JSON workflow plan.
       case 'execute_workflow':
         return await this.executeWorkflow(data.instruction, data.options);
       
+      case 'plan_workflow':
+        return await this.planWorkflow(data.instruction, data.options);
+      
+      case 'execute_plan':
+        return await this.executePlan(data.planId, data.plan);
+      
+      case 'rerun_workflow':
+        return await this.waitForWorkflow(this.submitRerun(data.workflowId).workflowId);
+      
+      case 'retry_workflow':
+        return await this.waitForWorkflow(this.submitRetry(data.workflowId, data.fromStep).workflowId);
+      
+      case 'rollback_workflow':
+        return await this.rollbackWorkflow(data.workflowId);
+      
       case 'get_workflow_status':
         return await this.getWorkflowStatus(data.workflowId);
       
       case 'cancel_workflow':
         return await this.cancelWorkflow(data.workflowId);
       
+      case 'approve_step':
+        return await this.approveStep(data.workflowId, data.stepId, data);
+      
+      case 'reject_step':
+        return await this.rejectStep(data.workflowId, data.stepId, data);
+      
       case 'get_active_workflows':
         return Array.from(this.activeWorkflows.values());
       
@@ -260,6 +1013,7 @@ Respond with a JSON workflow plan.
   getMetrics() {
     return {
       activeWorkflows: this.activeWorkflows.size,
+      queuedWorkflows: this.scheduler?.getStats().queued ?? 0,
       totalWorkflows: this.stateManager.getTotalWorkflows(),
       successRate: this.stateManager.getSuccessRate(),
       averageDuration: this.stateManager.getAverageDuration(),
@@ -0,0 +1,208 @@
+import Joi from 'joi';
+import { v4 as uuidv4 } from 'uuid';
+import { parseCondition } from '../utils/condition-evaluator.js';
+import { validateTemplates } from '../utils/parameter-template.js';
+import { defaultStepRegistry } from './builtin-steps.js';
+import { templated } from './step-registry.js';
+
+// Lowest to highest; the index is used as the priority rank
+export const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Submit options override the plan; plans without one default to medium
+export function getPriority(workflow) {
+  return workflow.options?.priority || workflow.plan?.priority || 'medium';
+}
+
+const planSchemas = new WeakMap();
+
+// The step schema depends on the registered step types, so plan schemas are
+// built per registry and rebuilt when a type is registered
+function getPlanSchema(registry) {
+  const cached = planSchemas.get(registry);
+  if (cached?.version === registry.version) {
+    return cached.schema;
+  }
+
+  const schema = buildPlanSchema(registry.list());
+  planSchemas.set(registry, { version: registry.version, schema });
+  return schema;
+}
+
+function buildPlanSchema(definitions) {
+  const stepSchema = Joi.object({
+    id: Joi.string().default(() => uuidv4()),
+    type: Joi.string().valid(...definitions.map(({ type }) => type)).required(),
+    description: Joi.string().allow(''),
+    integration: Joi.string().required().when('type', {
+      switch: definitions.map(({ type, integrations }) => ({
+        is: type,
+        then: Joi.valid(...integrations)
+      }))
+    }),
+    parameters: Joi.when('type', {
+      switch: definitions.map(({ type, parameters }) => ({
+        is: type,
+        then: parameters
+      })),
+      otherwise: Joi.object().unknown(true)
+    }).default({}),
+    timeout: Joi.number().integer().min(1000).max(3600000).default(60000),
+    retryCount: Joi.number().integer().min(0).max(5).default(2),
+    requiresApproval: Joi.boolean().default(false),
+    resumable: Joi.boolean(),
+    dependsOn: Joi.array().items(Joi.string()).unique(),
+    when: Joi.string().max(500),
+    // Named values taken from the step's result, e.g. { files: 'data.files' }
+    outputs: Joi.object().pattern(Joi.string(), Joi.string()),
+    // Runs the step once per combination of values, e.g.
+    // { values: { browser: ['chromium', 'firefox', 'webkit'] } }
+    matrix: Joi.object({
+      values: Joi.object().pattern(Joi.string(), templated(Joi.array().min(1).max(20))).min(1).required(),
+      maxParallel: Joi.number().integer().min(1).max(10),
+      failFast: Joi.boolean().default(true)
+    })
+  });
+
+  return Joi.object({
+    steps: Joi.array().items(stepSchema).min(1).unique('id').required(),
+    estimatedDuration: Joi.number().positive().default(300), // seconds
+    priority: Joi.string().valid(...PRIORITIES).default('medium'),
+    dependencies: Joi.array().items(Joi.string()).default([]),
+    rollbackStrategy: Joi.string().valid('automatic', 'manual', 'none').default('automatic'),
+    maxParallelSteps: Joi.number().integer().min(1).max(10)
+  });
+}
+
+export class PlanValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'PlanValidationError';
+    this.details = details;
+  }
+}
+
+// A step may opt out of resuming, but cannot opt in when its type is not
+// safe to run twice
+export function isStepResumable(step, registry = defaultStepRegistry) {
+  return registry.get(step.type)?.resumable === true && step.resumable !== false;
+}
+
+// A step without dependsOn runs after the step before it, so plans that
+// never mention dependsOn keep running in order
+export function resolveStepDependencies(steps) {
+  return new Map(steps.map((step, index) => [
+    step.id,
+    step.dependsOn ?? (index > 0 ? [steps[index - 1].id] : [])
+  ]));
+}
+
+export function validatePlan(plan, registry = defaultStepRegistry) {
+  const { value, error } = getPlanSchema(registry).validate(plan, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      path: formatPath(detail.path),
+      message: detail.message
+    }));
+    return { plan: null, errors };
+  }
+
+  const errors = [...validateExpressions(value.steps), ...validateStepGraph(value.steps)];
+  return errors.length > 0 ? { plan: null, errors } : { plan: value, errors: [] };
+}
+
+// Conditions, parameter templates and outputs are parsed up front so a typo
+// fails validation instead of the step
+function validateExpressions(steps) {
+  const errors = [];
+  steps.forEach((step, index) => {
+    if (step.when !== undefined) {
+      try {
+        parseCondition(step.when);
+      } catch (error) {
+        errors.push({ path: `steps[${index}].when`, message: `Step ${step.id} has an invalid condition: ${error.message}` });
+      }
+    }
+
+    for (const { path, message } of validateTemplates(step.parameters)) {
+      errors.push({ path: `steps[${index}].parameters.${path}`, message });
+    }
+
+    for (const { path, message } of validateTemplates(step.matrix?.values || {})) {
+      errors.push({ path: `steps[${index}].matrix.values.${path}`, message });
+    }
+
+    for (const [name, expression] of Object.entries(step.outputs || {})) {
+      try {
+        parseCondition(expression);
+      } catch (error) {
+        errors.push({ path: `steps[${index}].outputs.${name}`, message: `Step ${step.id} has an invalid output: ${error.message}` });
+      }
+    }
+  });
+  return errors;
+}
+
+function validateStepGraph(steps) {
+  const errors = [];
+  const ids = new Set(steps.map(step => step.id));
+
+  steps.forEach((step, index) => {
+    (step.dependsOn || []).forEach((dependency, position) => {
+      if (dependency === step.id) {
+        errors.push({ path: `steps[${index}].dependsOn[${position}]`, message: `Step ${step.id} depends on itself` });
+      } else if (!ids.has(dependency)) {
+        errors.push({ path: `steps[${index}].dependsOn[${position}]`, message: `Step ${step.id} depends on unknown step ${dependency}` });
+      }
+    });
+  });
+  if (errors.length > 0) return errors;
+
+  const cycle = findCycle(resolveStepDependencies(steps));
+  if (cycle) {
+    errors.push({ path: 'steps', message: `Steps form a dependency cycle: ${cycle.join(' -> ')}` });
+  }
+  return errors;
+}
+
+// Depth-first search; returns the ids along the first cycle found
+function findCycle(dependencies) {
+  const visiting = new Set();
+  const visited = new Set();
+  const path = [];
+
+  const visit = (id) => {
+    if (visiting.has(id)) {
+      return [...path.slice(path.indexOf(id)), id];
+    }
+    if (visited.has(id)) return null;
+
+    visiting.add(id);
+    path.push(id);
+    for (const dependency of dependencies.get(id)) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    visiting.delete(id);
+    visited.add(id);
+    return null;
+  };
+
+  for (const id of dependencies.keys()) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+function formatPath(path) {
+  return path.reduce((formatted, segment) => (
+    typeof segment === 'number'
+      ? `${formatted}[${segment}]`
+      : formatted ? `${formatted}.${segment}` : segment
+  ), '');
+}
@@ -1,6 +1,15 @@
+import { MemoryStorage } from '../storage/index.js';
+
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'superseded', 'timed_out', 'interrupted'];
+
 export class StateManager {
-  constructor() {
-    this.workflows = new Map();
+  constructor({ retention = {}, storage = new MemoryStorage() } = {}) {
+    this.storage = storage;
+    this.retention = {
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      maxEntries: 1000,
+      ...retention
+    };
     this.metrics = {
       totalWorkflows: 0,
       completedWorkflows: 0,
@@ -10,30 +19,59 @@ export class StateManager {
   }
 
   async initialize() {
-    // Initialize state management
-    // Could load from database or file system
+    await this.storage.open();
+
+    const metrics = this.storage.get('metrics', 'workflows');
+    if (metrics) {
+      this.metrics = { ...this.metrics, ...metrics };
+    }
+  }
+
+  async close() {
+    await this.storage.close();
   }
 
   saveWorkflowState(workflowId, state) {
-    this.workflows.set(workflowId, {
+    this.storage.set('workflows', workflowId, {
       ...state,
       lastUpdated: new Date().toISOString()
     });
+
+    const size = this.storage.size('workflows');
+    if (size > this.retention.maxEntries) {
+      this.evictOldestFinished(size - this.retention.maxEntries);
+    }
   }
 
   getWorkflowState(workflowId) {
-    return this.workflows.get(workflowId);
+    return this.storage.get('workflows', workflowId);
+  }
+
+  listWorkflowStates() {
+    return this.storage.entries('workflows').map(([, workflow]) => workflow);
+  }
+
+  savePendingPlan(pendingPlan) {
+    this.storage.set('plans', pendingPlan.planId, pendingPlan);
+  }
+
+  deletePendingPlan(planId) {
+    this.storage.delete('plans', planId);
+  }
+
+  listPendingPlans() {
+    return this.storage.entries('plans').map(([, pendingPlan]) => pendingPlan);
   }
 
   updateMetrics(workflow) {
     this.metrics.totalWorkflows++;
-    
+
     if (workflow.status === 'completed') {
       this.metrics.completedWorkflows++;
     } else if (workflow.status === 'failed') {
       this.metrics.failedWorkflows++;
     }
-    
+
     // Calculate average duration
     if (workflow.completedAt && workflow.createdAt) {
       const duration = new Date(workflow.completedAt) - new Date(workflow.createdAt);
@@ -42,6 +80,8 @@ export class StateManager {
         this.metrics.totalWorkflows
       );
     }
+
+    this.storage.set('metrics', 'workflows', this.metrics);
   }
 
   getTotalWorkflows() {
@@ -61,14 +101,25 @@ export class StateManager {
     return { ...this.metrics };
   }
 
+  evictOldestFinished(count) {
+    // Map iteration follows insertion order, so the oldest entries come first
+    for (const [workflowId, workflow] of this.storage.entries('workflows')) {
+      if (count <= 0) break;
+      if (FINISHED_STATUSES.includes(workflow.status)) {
+        this.storage.delete('workflows', workflowId);
+        count--;
+      }
+    }
+  }
+
   cleanup() {
-    // Cleanup old workflow states
-    const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 hours
-    
-    for (const [workflowId, workflow] of this.workflows) {
-      if (new Date(workflow.lastUpdated) < cutoff) {
-        this.workflows.delete(workflowId);
+    // Cleanup finished workflow states past the retention window
+    const cutoff = new Date(Date.now() - this.retention.maxAge);
+
+    for (const [workflowId, workflow] of this.storage.entries('workflows')) {
+      if (FINISHED_STATUSES.includes(workflow.status) && new Date(workflow.lastUpdated) < cutoff) {
+        this.storage.delete('workflows', workflowId);
       }
     }
   }
-}
\ No newline at end of file
+}
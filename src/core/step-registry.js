@@ -0,0 +1,74 @@
+import Joi from 'joi';
+
+// Typed parameters may instead be a {{ template }} resolved at run time
+export const templated = schema => Joi.alternatives(schema, Joi.string().pattern(/^\{\{.+\}\}$/, 'template'));
+
+const definitionSchema = Joi.object({
+  description: Joi.string().required(),
+  integrations: Joi.array().items(Joi.string()).min(1).required(),
+  parameters: Joi.object().schema().default(() => Joi.object().unknown(true)),
+  // Steps with side effects that must not happen twice are not resumable
+  // after a restart
+  resumable: Joi.boolean().default(false),
+  handler: Joi.function().required(),
+  // Undoes a completed step when a later one fails; method is the integration
+  // method run() needs, so integrations without it are skipped
+  compensation: Joi.object({
+    method: Joi.string().required(),
+    run: Joi.function().required()
+  })
+});
+
+// Step types the executor can run. Each registration carries the handler
+// that runs the step, the integrations that can implement it, the parameters
+// it accepts, an optional compensation and a description for the planning
+// prompt. Handlers receive { integration, parameters, workflow, signal,
+// artifacts } and return the step result; artifacts saves and reads the
+// workflow's artifacts and is null without an artifact store.
+export class StepRegistry {
+  constructor() {
+    this.definitions = new Map();
+    // Bumped on every registration so cached plan schemas are rebuilt
+    this.version = 0;
+  }
+
+  register(type, definition) {
+    if (this.definitions.has(type)) {
+      throw new Error(`Step type ${type} is already registered`);
+    }
+
+    const { value, error } = definitionSchema.validate(definition);
+    if (error) {
+      throw new Error(`Invalid definition for step type ${type}: ${error.message}`);
+    }
+
+    this.definitions.set(type, { type, ...value });
+    this.version++;
+    return this;
+  }
+
+  get(type) {
+    return this.definitions.get(type) || null;
+  }
+
+  has(type) {
+    return this.definitions.has(type);
+  }
+
+  types() {
+    return [...this.definitions.keys()];
+  }
+
+  list() {
+    return [...this.definitions.values()];
+  }
+
+  // One line per step type for the planning prompt
+  describeForPlanning() {
+    return this.list().map(({ type, description, integrations, parameters }) => {
+      const names = Object.keys(parameters.describe().keys || {});
+      const accepted = names.length > 0 ? ` Parameters: ${names.join(', ')}.` : '';
+      return `- ${type} (integration: ${integrations.join(' or ')}): ${description}.${accepted}`;
+    }).join('\n');
+  }
+}
@@ -1,8 +1,18 @@
 import { EventEmitter } from 'events';
+import { defaultStepRegistry } from './builtin-steps.js';
+
+// Task types queued before tasks ran through the step registry
+const LEGACY_TASK_TYPES = {
+  code_analysis: 'analyze',
+  test_execution: 'run_tests',
+  deployment: 'deploy'
+};
 
 export class TaskQueue extends EventEmitter {
-  constructor() {
+  constructor({ stepRegistry = defaultStepRegistry, integrations = {} } = {}) {
     super();
+    this.stepRegistry = stepRegistry;
+    this.integrations = integrations;
     this.queue = [];
     this.processing = false;
     this.maxConcurrent = 3;
@@ -72,32 +82,24 @@ export class TaskQueue extends EventEmitter {
   }
 
   async executeTask(task) {
-    // Implement task execution logic based on task type
-    switch (task.type) {
-      case 'code_analysis':
-        return await this.analyzeCode(task.data);
-      case 'test_execution':
-        return await this.runTests(task.data);
-      case 'deployment':
-        return await this.deploy(task.data);
-      default:
-        throw new Error(`Unknown task type: ${task.type}`);
+    const type = LEGACY_TASK_TYPES[task.type] || task.type;
+    const definition = this.stepRegistry.get(type);
+    if (!definition) {
+      throw new Error(`Unknown task type: ${task.type}`);
     }
-  }
-
-  async analyzeCode(data) {
-    // Implement code analysis
-    return { analyzed: true, metrics: {} };
-  }
 
-  async runTests(data) {
-    // Implement test execution
-    return { passed: 0, failed: 0, coverage: 0 };
-  }
+    const integrationName = task.integration || definition.integrations[0];
+    const integration = this.integrations[integrationName];
+    if (!integration) {
+      throw new Error(`Integration '${integrationName}' not found`);
+    }
 
-  async deploy(data) {
-    // Implement deployment
-    return { deployed: true, url: '' };
+    return await definition.handler({
+      integration,
+      parameters: task.data || {},
+      workflow: { id: task.id, instruction: task.instruction },
+      signal: task.signal
+    });
   }
 
   getQueueStatus() {
@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+
+const PLACEHOLDER = /\$\{\s*([\w.]+)\s*\}/g;
+const WHOLE_PLACEHOLDER = /^\$\{\s*([\w.]+)\s*\}$/;
+
+export class TemplateRegistry {
+  constructor({ directory, logger }) {
+    this.directory = directory;
+    this.logger = logger;
+    this.templates = new Map();
+  }
+
+  async initialize() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.directory);
+    } catch (error) {
+      this.logger.warn(`Workflow templates directory ${this.directory} not readable: ${error.message}`);
+      return;
+    }
+
+    for (const entry of entries.filter(name => /\.ya?ml$/.test(name)).sort()) {
+      const file = path.join(this.directory, entry);
+      try {
+        const template = YAML.parse(await fs.readFile(file, 'utf-8'));
+        this.register(template);
+      } catch (error) {
+        this.logger.warn(`Skipping workflow template ${entry}: ${error.message}`);
+      }
+    }
+
+    this.logger.info(`Loaded ${this.templates.size} workflow templates`);
+  }
+
+  register(template) {
+    if (!template || typeof template.name !== 'string') {
+      throw new Error('Template must have a name');
+    }
+    if (!Array.isArray(template.steps) || template.steps.length === 0) {
+      throw new Error(`Template ${template.name} must define at least one step`);
+    }
+
+    this.templates.set(template.name, {
+      description: '',
+      types: [],
+      parameters: {},
+      ...template
+    });
+  }
+
+  get(name) {
+    return this.templates.get(name);
+  }
+
+  // An explicit options.template wins; otherwise the first template
+  // declaring the workflow type is used
+  resolve(options = {}) {
+    if (options.template) {
+      const template = this.get(options.template);
+      if (!template) {
+        throw new Error(`Template ${options.template} not found`);
+      }
+      return template;
+    }
+
+    if (!options.type) return null;
+
+    for (const template of this.templates.values()) {
+      if (template.types.includes(options.type)) {
+        return template;
+      }
+    }
+    return null;
+  }
+
+  render(template, values = {}) {
+    const context = {};
+    for (const [name, definition] of Object.entries(template.parameters)) {
+      const value = values[name] ?? definition?.default;
+      if (value === undefined && definition?.required) {
+        throw new Error(`Template ${template.name} requires parameter "${name}"`);
+      }
+      context[name] = value;
+    }
+
+    const { steps, estimatedDuration, priority, dependencies, rollbackStrategy, maxParallelSteps } = template;
+    return this.substitute({
+      steps,
+      estimatedDuration,
+      priority,
+      dependencies,
+      rollbackStrategy,
+      maxParallelSteps
+    }, { ...values, ...context });
+  }
+
+  substitute(value, context) {
+    if (typeof value === 'string') {
+      // A value that is only a placeholder keeps the type of what it refers to
+      const whole = value.match(WHOLE_PLACEHOLDER);
+      if (whole) {
+        return lookup(context, whole[1]);
+      }
+      return value.replace(PLACEHOLDER, (match, key) => {
+        const resolved = lookup(context, key);
+        return resolved === undefined || resolved === null ? '' : String(resolved);
+      });
+    }
+
+    if (Array.isArray(value)) {
+      return value
+        .map(item => this.substitute(item, context))
+        .filter(item => item !== undefined);
+    }
+
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        const substituted = this.substitute(item, context);
+        if (substituted !== undefined) {
+          result[key] = substituted;
+        }
+      }
+      return result;
+    }
+
+    return value;
+  }
+
+  list() {
+    return Array.from(this.templates.values()).map(template => ({
+      name: template.name,
+      description: template.description,
+      types: template.types,
+      parameters: template.parameters,
+      steps: template.steps.map(step => ({
+        id: step.id,
+        type: step.type,
+        integration: step.integration,
+        description: step.description
+      })),
+      estimatedDuration: template.estimatedDuration
+    }));
+  }
+}
+
+function lookup(context, key) {
+  return key.split('.').reduce(
+    (value, segment) => (value === undefined || value === null ? undefined : value[segment]),
+    context
+  );
+}
@@ -0,0 +1,111 @@
+import Joi from 'joi';
+import YAML from 'yaml';
+import { validatePlan } from './plan-schema.js';
+
+export const WORKFLOW_DEFINITIONS_PATH = '.autodevops/workflows';
+
+const triggersSchema = Joi.object({
+  push: Joi.object({
+    branches: Joi.array().items(Joi.string()).default(['*'])
+  }),
+  pull_request: Joi.object({
+    actions: Joi.array().items(Joi.string()).default(['opened', 'synchronize']),
+    branches: Joi.array().items(Joi.string()).default(['*'])
+  }),
+  alert: Joi.object({
+    severities: Joi.array().items(Joi.string().valid('info', 'warning', 'critical')).default(['critical'])
+  })
+}).min(1).required();
+
+const definitionSchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().allow(''),
+  on: triggersSchema
+}).unknown(true);
+
+// Parses one .autodevops/workflows/*.yml file: name, description and on
+// triggers, plus the same plan fields an AI-generated plan has.
+export function parseWorkflowDefinition(source, path, stepRegistry) {
+  let document;
+  try {
+    document = YAML.parse(source);
+  } catch (error) {
+    return { definition: null, errors: [{ path: '', message: `Invalid YAML: ${error.message}` }] };
+  }
+
+  const { value, error } = definitionSchema.validate(document, { abortEarly: false });
+  const errors = error
+    ? error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }))
+    : [];
+
+  const {
+    name,
+    description,
+    steps,
+    estimatedDuration,
+    priority,
+    dependencies,
+    rollbackStrategy,
+    maxParallelSteps
+  } = document || {};
+  const { plan, errors: planErrors } = validatePlan({
+    steps,
+    estimatedDuration,
+    priority,
+    dependencies,
+    rollbackStrategy,
+    maxParallelSteps
+  }, stepRegistry);
+  errors.push(...planErrors);
+
+  if (errors.length > 0) {
+    return { definition: null, errors };
+  }
+
+  return {
+    definition: {
+      name,
+      description: description || name,
+      path,
+      on: value.on,
+      plan
+    },
+    errors: []
+  };
+}
+
+// event is { type: 'push', branch }, { type: 'pull_request', action, branch }
+// or { type: 'alert', severity }
+export function matchesTrigger(definition, event) {
+  const trigger = definition.on[event.type];
+  if (!trigger) return false;
+
+  switch (event.type) {
+    case 'push':
+      return matchesBranch(trigger.branches, event.branch);
+
+    case 'pull_request':
+      return trigger.actions.includes(event.action) && matchesBranch(trigger.branches, event.branch);
+
+    case 'alert':
+      return trigger.severities.includes(event.severity);
+
+    default:
+      return false;
+  }
+}
+
+function matchesBranch(patterns, branch) {
+  return patterns.some(pattern => globToRegExp(pattern).test(branch));
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
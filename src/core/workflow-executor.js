@@ -1,12 +1,64 @@
 import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
+import { resolveStepDependencies, isStepResumable } from './plan-schema.js';
+import { DEFAULT_RETRY_POLICY, isRetryableError, computeBackoff } from '../utils/retry-policy.js';
+import { evaluateCondition, evaluateExpression } from '../utils/condition-evaluator.js';
+import { resolveTemplates } from '../utils/parameter-template.js';
+import { runWithLogContext } from '../utils/log-context.js';
+import { defaultStepRegistry } from './builtin-steps.js';
+
+const STOPPED_STEP_STATUSES = {
+  WORKFLOW_CANCELLED: 'cancelled',
+  WORKFLOW_TIMEOUT: 'timed_out'
+};
+
+const MAX_MATRIX_VARIANTS = 50;
+
+// Every combination of the matrix values, e.g. { browser: ['chromium', 'firefox'] }
+// becomes [{ browser: 'chromium' }, { browser: 'firefox' }]
+function expandMatrix(values) {
+  let combinations = [{}];
+  for (const [name, list] of Object.entries(values)) {
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error(`Matrix value ${name} must be a non-empty list`);
+    }
+    combinations = combinations.flatMap(combination =>
+      list.map(value => ({ ...combination, [name]: value })));
+  }
+
+  if (combinations.length > MAX_MATRIX_VARIANTS) {
+    throw new Error(`Matrix expands to ${combinations.length} variants, more than ${MAX_MATRIX_VARIANTS}`);
+  }
+  return combinations;
+}
+
+const isCompletedVariant = variant => variant.status === 'completed';
+
+function describeVariant(values) {
+  return Object.entries(values).map(([name, value]) => `${name}=${JSON.stringify(value)}`).join(', ');
+}
 
 export class WorkflowExecutor extends EventEmitter {
-  constructor(integrations, logger) {
+  constructor(integrations, logger, options = {}) {
     super();
     this.integrations = integrations;
     this.logger = logger;
+    this.approvalPolicy = {
+      stepTypes: [],
+      environments: [],
+      branches: [],
+      timeout: 24 * 60 * 60 * 1000, // 24 hours
+      ...options.approval
+    };
+    this.maxParallelSteps = options.maxParallelSteps || 3;
+    this.stepRegistry = options.stepRegistry || defaultStepRegistry;
+    this.artifactStore = options.artifactStore || null;
+    // Without a scheduler, workflows never give up or wait for a slot
+    this.scheduler = options.scheduler || null;
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...options.retry };
     this.runningWorkflows = new Map();
+    this.abortControllers = new Map();
+    this.pendingApprovals = new Map();
   }
 
   async initialize() {
@@ -16,32 +68,73 @@ export class WorkflowExecutor extends EventEmitter {
   async execute(workflow) {
     const { id, plan } = workflow;
     this.runningWorkflows.set(id, workflow);
+    // Aborted by cancel(); integrations receive the signal with every call
+    this.abortControllers.set(id, new AbortController());
     
     this.emit('workflow:started', { workflowId: id, plan });
     this.logger.info(`Executing workflow ${id} with ${plan.steps.length} steps`);
     
-    const results = [];
+    const dependencies = resolveStepDependencies(plan.steps);
+    const maxParallel = plan.maxParallelSteps || this.maxParallelSteps;
+    const results = new Map();
+    
+    // A resumed or retried workflow keeps the records of steps that already completed
+    for (const record of workflow.steps) {
+      if (record.status === 'completed') {
+        results.set(record.id, record.result);
+      }
+    }
+    
+    const waiting = plan.steps.filter(step => !results.has(step.id));
+    const running = new Map();
+    // Compensations run in the reverse of this order
+    const completedOrder = [...results.keys()];
+    let failure = null;
     
     try {
-      for (const step of plan.steps) {
-        this.logger.info(`Executing step ${step.id}: ${step.description}`);
+      while (waiting.length > 0 || running.size > 0) {
+        // Start every step whose dependencies have completed, up to the parallel
+        // limit. After a failure nothing new starts; running steps are drained.
+        while (!failure && running.size < maxParallel) {
+          const index = waiting.findIndex(step =>
+            dependencies.get(step.id).every(dependency => results.has(dependency)));
+          if (index === -1) break;
+          
+          const [step] = waiting.splice(index, 1);
+          // Logs written while the step runs carry its id
+          const execution = runWithLogContext({ stepId: step.id }, () => this.runStep(step, workflow, results))
+            .then(
+              result => {
+                results.set(step.id, result);
+                completedOrder.push(step.id);
+              },
+              error => {
+                failure = failure || error;
+                // Variants of a failed matrix step that did succeed still need undoing
+                if (workflow.steps.find(record => record.id === step.id)?.variants?.some(isCompletedVariant)) {
+                  completedOrder.push(step.id);
+                }
+              }
+            )
+            .finally(() => running.delete(step.id));
+          running.set(step.id, execution);
+        }
         
-        const stepResult = await this.executeStep(step, workflow);
-        results.push(stepResult);
-        
-        workflow.steps.push({
-          ...step,
-          status: 'completed',
-          result: stepResult,
-          executedAt: new Date().toISOString()
-        });
+        if (running.size === 0) break;
+        await Promise.race(running.values());
       }
       
+      if (failure) throw failure;
+      if (waiting.length > 0) {
+        throw new Error(`Steps ${waiting.map(step => step.id).join(', ')} could not run because their dependencies did not complete`);
+      }
+      
+      const stepResults = plan.steps.map(step => results.get(step.id));
       const finalResult = {
         workflowId: id,
         status: 'completed',
-        steps: results,
-        summary: this.generateSummary(results)
+        steps: stepResults,
+        summary: this.generateSummary(stepResults)
       };
       
       this.emit('workflow:completed', finalResult);
@@ -50,11 +143,17 @@ export class WorkflowExecutor extends EventEmitter {
     } catch (error) {
       this.logger.error(`Workflow ${id} failed at step:`, error);
       
+      // Cancelled and timed-out workflows were stopped on purpose and keep
+      // what they did; failed ones are rolled back per the plan
+      if (!STOPPED_STEP_STATUSES[error.code]) {
+        await this.rollback(workflow, completedOrder);
+      }
+      
       const failureResult = {
         workflowId: id,
         status: 'failed',
         error: error.message,
-        completedSteps: results.length,
+        completedSteps: results.size,
         totalSteps: plan.steps.length
       };
       
@@ -62,143 +161,556 @@ export class WorkflowExecutor extends EventEmitter {
       throw error;
     } finally {
       this.runningWorkflows.delete(id);
+      this.abortControllers.delete(id);
     }
   }
 
-  async executeStep(step, workflow) {
-    const { type, integration, parameters, timeout } = step;
+  async runStep(step, workflow, results = new Map()) {
+    // cancel() removes the workflow, so no further steps are started
+    if (!this.runningWorkflows.has(workflow.id)) {
+      throw new Error(`Workflow ${workflow.id} was stopped before step ${step.id}`);
+    }
     
-    // Set timeout for step execution
-    const stepPromise = this.runStepWithIntegration(type, integration, parameters, workflow);
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error(`Step ${step.id} timed out after ${timeout}ms`)), timeout);
-    });
+    let stepRecord = workflow.steps.find(record => record.id === step.id);
+    if (stepRecord) {
+      stepRecord.status = 'pending';
+      stepRecord.attempts = [];
+      delete stepRecord.error;
+      delete stepRecord.skipReason;
+      delete stepRecord.variants;
+    } else {
+      stepRecord = { ...step, status: 'pending', attempts: [] };
+      workflow.steps.push(stepRecord);
+    }
+    
+    // A skipped step counts as done, so the steps depending on it still run
+    const scope = this.buildStepScope(workflow, results);
+    if (step.when && !evaluateCondition(step.when, scope)) {
+      stepRecord.status = 'skipped';
+      stepRecord.skipReason = `Condition "${step.when}" was false`;
+      this.logger.info(`Skipping step ${step.id}: ${stepRecord.skipReason}`);
+      this.emit('step:skipped', { workflowId: workflow.id, stepId: step.id, reason: stepRecord.skipReason });
+      return null;
+    }
+    
+    let resolvedSteps;
+    try {
+      resolvedSteps = this.resolveStep(step, scope);
+    } catch (error) {
+      this.failStep(workflow, stepRecord, error);
+      throw error;
+    }
+    
+    if (resolvedSteps.some(resolvedStep => this.requiresApproval(resolvedStep, workflow))) {
+      await this.waitForApproval(workflow, stepRecord);
+    }
+    await this.holdSlot(workflow);
+    
+    this.logger.info(`Executing step ${step.id}: ${step.description}`);
+    stepRecord.status = 'running';
+    this.emit('step:started', { workflowId: workflow.id, stepId: step.id });
+    
+    let stepResult;
+    try {
+      stepResult = step.matrix
+        ? await this.executeMatrix(step, resolvedSteps, workflow, stepRecord)
+        : await this.executeWithRetries(resolvedSteps[0], workflow, stepRecord);
+      if (step.outputs) {
+        stepResult = { ...stepResult, outputs: this.resolveOutputs(step.outputs, stepResult) };
+      }
+    } catch (error) {
+      this.failStep(workflow, stepRecord, error);
+      throw error;
+    }
     
-    return await Promise.race([stepPromise, timeoutPromise]);
+    Object.assign(stepRecord, {
+      status: 'completed',
+      result: stepResult,
+      executedAt: new Date().toISOString()
+    });
+    this.emit('step:completed', { workflowId: workflow.id, stepId: step.id });
+    return stepResult;
   }
 
-  async runStepWithIntegration(type, integrationName, parameters, workflow) {
-    const integration = this.integrations[integrationName];
-    if (!integration) {
-      throw new Error(`Integration '${integrationName}' not found`);
-    }
+  // Steps aborted by cancel() record why the workflow was stopped
+  failStep(workflow, stepRecord, error) {
+    const stoppedStatus = STOPPED_STEP_STATUSES[error.code];
+    stepRecord.status = stoppedStatus || 'failed';
+    stepRecord.error = error.message;
+    this.emit(stoppedStatus ? 'step:cancelled' : 'step:failed', {
+      workflowId: workflow.id,
+      stepId: stepRecord.id,
+      error: error.message
+    });
+  }
 
-    switch (type) {
-      case 'analyze':
-        return await this.handleAnalyzeStep(integration, parameters, workflow);
-      
-      case 'generate_code':
-        return await this.handleGenerateCodeStep(integration, parameters, workflow);
-      
-      case 'run_tests':
-        return await this.handleRunTestsStep(integration, parameters, workflow);
-      
-      case 'commit_changes':
-        return await this.handleCommitChangesStep(integration, parameters, workflow);
-      
-      case 'monitor':
-        return await this.handleMonitorStep(integration, parameters, workflow);
-      
-      case 'deploy':
-        return await this.handleDeployStep(integration, parameters, workflow);
-      
-      default:
-        throw new Error(`Unknown step type: ${type}`);
+  // Resolves the step's parameter templates. A matrix step resolves to one
+  // step per variant, which gets the variant's values as parameters of the
+  // same name and as {{ matrix.<name> }} in templates.
+  resolveStep(step, scope) {
+    if (!step.matrix) {
+      return [{ ...step, parameters: resolveTemplates(step.parameters || {}, scope) }];
     }
+
+    return expandMatrix(resolveTemplates(step.matrix.values, scope)).map(values => ({
+      ...step,
+      variant: values,
+      parameters: { ...resolveTemplates(step.parameters || {}, { ...scope, matrix: values }), ...values }
+    }));
   }
 
-  async handleAnalyzeStep(integration, parameters, workflow) {
-    const analysis = await integration.analyzeRequirements(workflow.instruction, parameters);
-    return {
-      type: 'analysis',
-      data: analysis,
-      timestamp: new Date().toISOString()
+  // Runs the variants of a matrix step maxParallel at a time, each with its
+  // own retries, and combines their results. With failFast the first failure
+  // cancels the variants still running or waiting.
+  async executeMatrix(step, variants, workflow, stepRecord) {
+    const { failFast } = step.matrix;
+    const maxParallel = step.matrix.maxParallel || workflow.plan.maxParallelSteps || this.maxParallelSteps;
+    const workflowSignal = this.abortControllers.get(workflow.id).signal;
+    const failFastController = new AbortController();
+    const signal = AbortSignal.any([workflowSignal, failFastController.signal]);
+
+    stepRecord.variants = variants.map(({ variant }) => ({ matrix: variant, status: 'pending', attempts: [] }));
+    let next = 0;
+
+    const runVariants = async () => {
+      while (next < variants.length && !signal.aborted) {
+        const record = stepRecord.variants[next];
+        const variant = variants[next++];
+        record.status = 'running';
+        try {
+          record.result = await this.executeWithRetries(variant, workflow, record, signal);
+          record.status = 'completed';
+        } catch (error) {
+          record.status = signal.aborted ? 'cancelled' : 'failed';
+          record.error = error.message;
+          if (failFast && !signal.aborted) {
+            failFastController.abort(new Error(`Cancelled after variant ${describeVariant(variant.variant)} failed`));
+          }
+        }
+      }
     };
-  }
+    await Promise.all(Array.from({ length: Math.min(maxParallel, variants.length) }, runVariants));
+
+    if (workflowSignal.aborted) {
+      throw workflowSignal.reason;
+    }
+    for (const record of stepRecord.variants) {
+      if (record.status === 'pending') record.status = 'cancelled';
+    }
+
+    const failed = stepRecord.variants.filter(record => record.status === 'failed');
+    if (failed.length > 0) {
+      const error = new Error(`Matrix step ${step.id} failed for ${failed.length} of ${variants.length} variants: ` +
+        failed.map(record => `${describeVariant(record.matrix)}: ${record.error}`).join('; '));
+      // Each variant already had its retries
+      error.retryable = false;
+      throw error;
+    }
 
-  async handleGenerateCodeStep(integration, parameters, workflow) {
-    const codeGeneration = await integration.generateCode(workflow.instruction, parameters);
     return {
-      type: 'code_generation',
-      data: codeGeneration,
+      type: 'matrix',
+      data: {
+        total: variants.length,
+        variants: stepRecord.variants.map(({ matrix, result }) => ({ matrix, result }))
+      },
       timestamp: new Date().toISOString()
     };
   }
 
-  async handleRunTestsStep(integration, parameters, workflow) {
-    const testResults = await integration.runTests(parameters);
-    return {
-      type: 'test_results',
-      data: testResults,
-      timestamp: new Date().toISOString()
+  // Conditions and parameter templates see earlier step results by step id
+  // (also under steps) and the workflow options by name (also under options);
+  // step ids take precedence
+  buildStepScope(workflow, results) {
+    const options = workflow.options || {};
+    const steps = Object.fromEntries(results);
+    return { ...options, options, steps, ...steps };
+  }
+
+  // Evaluates a step's outputs mapping against its own result, so later steps
+  // can use {{ steps.generate.outputs.files }} instead of the result's layout
+  resolveOutputs(outputs, result) {
+    return Object.fromEntries(Object.entries(outputs).map(([name, expression]) => [
+      name,
+      evaluateExpression(expression, result ?? {}) ?? null
+    ]));
+  }
+
+  requiresApproval(step, workflow) {
+    if (step.requiresApproval) return true;
+
+    const { stepTypes, environments, branches } = this.approvalPolicy;
+    const parameters = step.parameters || {};
+
+    // Deploy steps target the workflow's environment unless they name one
+    const environment = parameters.environment ||
+      (step.type === 'deploy' ? workflow.options?.environment : undefined);
+    const branch = parameters.branch ||
+      (step.type === 'commit_changes' ? 'main' : undefined);
+
+    return stepTypes.includes(step.type) ||
+      (environment !== undefined && environments.includes(environment)) ||
+      (branch !== undefined && branches.includes(branch));
+  }
+
+  async waitForApproval(workflow, stepRecord) {
+    const key = `${workflow.id}:${stepRecord.id}`;
+    const { timeout } = this.approvalPolicy;
+    const requestedAt = new Date();
+
+    stepRecord.status = 'awaiting_approval';
+    stepRecord.approval = {
+      status: 'pending',
+      requestedAt: requestedAt.toISOString(),
+      expiresAt: new Date(requestedAt.getTime() + timeout).toISOString()
     };
+    workflow.status = 'awaiting_approval';
+    // Waiting for a human does not hold a scheduler slot, unless other steps
+    // of the workflow are still running
+    if (this.scheduler && !workflow.steps.some(record => record.status === 'running')) {
+      this.scheduler.release(workflow.id);
+    }
+
+    this.logger.info(`Workflow ${workflow.id} awaiting approval for step ${stepRecord.id}`);
+    this.emit('step:awaiting_approval', {
+      workflowId: workflow.id,
+      stepId: stepRecord.id,
+      expiresAt: stepRecord.approval.expiresAt
+    });
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingApprovals.delete(key);
+        stepRecord.status = 'expired';
+        stepRecord.approval.status = 'expired';
+        reject(new Error(`Approval for step ${stepRecord.id} expired after ${timeout}ms`));
+      }, timeout);
+
+      this.pendingApprovals.set(key, { workflowId: workflow.id, stepRecord, resolve, reject, timer });
+    });
+
+    workflow.status = 'running';
+  }
+
+  // Steps only run while their workflow holds a scheduler slot. One that gave
+  // it up for an approval queues again here; stopping the workflow leaves
+  // the queue with the abort reason.
+  async holdSlot(workflow) {
+    if (!this.scheduler || this.scheduler.isRunning(workflow.id)) return;
+
+    const signal = this.abortControllers.get(workflow.id)?.signal;
+    signal?.throwIfAborted();
+    const onAbort = () => this.scheduler.cancel(workflow.id, signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      await this.scheduler.acquire(workflow);
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  approveStep(workflowId, stepId, { approver, comment } = {}) {
+    const pending = this.takePendingApproval(workflowId, stepId);
+    this.recordApprovalDecision(pending.stepRecord, 'approved', approver, comment);
+
+    this.logger.info(`Step ${stepId} of workflow ${workflowId} approved by ${approver}`);
+    pending.resolve();
+    return pending.stepRecord;
   }
 
-  async handleCommitChangesStep(integration, parameters, workflow) {
-    const commitResult = await integration.commitChanges({
-      message: parameters.message || `Automated commit for workflow ${workflow.id}`,
-      files: parameters.files || [],
-      branch: parameters.branch || 'main'
+  rejectStep(workflowId, stepId, { approver, comment } = {}) {
+    const pending = this.takePendingApproval(workflowId, stepId);
+    this.recordApprovalDecision(pending.stepRecord, 'rejected', approver, comment);
+    pending.stepRecord.status = 'rejected';
+
+    this.logger.info(`Step ${stepId} of workflow ${workflowId} rejected by ${approver}`);
+    pending.reject(new Error(`Step ${stepId} was rejected by ${approver}`));
+    return pending.stepRecord;
+  }
+
+  takePendingApproval(workflowId, stepId) {
+    const key = `${workflowId}:${stepId}`;
+    const pending = this.pendingApprovals.get(key);
+    if (!pending) {
+      throw new Error(`Step ${stepId} of workflow ${workflowId} is not awaiting approval`);
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingApprovals.delete(key);
+    return pending;
+  }
+
+  recordApprovalDecision(stepRecord, status, approver, comment) {
+    Object.assign(stepRecord.approval, {
+      status,
+      approver,
+      comment: comment || null,
+      decidedAt: new Date().toISOString()
     });
-    return {
-      type: 'commit',
-      data: commitResult,
-      timestamp: new Date().toISOString()
-    };
   }
 
-  async handleMonitorStep(integration, parameters, workflow) {
-    const monitoringSetup = await integration.setupMonitoring(workflow.id, parameters);
-    return {
-      type: 'monitoring',
-      data: monitoringSetup,
-      timestamp: new Date().toISOString()
-    };
+  // Runs the step up to retryCount + 1 times, backing off between attempts.
+  // Fatal errors, and workflows stopped while backing off, are not retried.
+  // Each attempt is aborted when it times out, so it cannot overlap the next.
+  async executeWithRetries(step, workflow, stepRecord, signal = this.abortControllers.get(workflow.id)?.signal) {
+    const maxAttempts = (step.retryCount || 0) + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const result = await this.executeStep(step, workflow, signal);
+        stepRecord.attempts.push({
+          attempt,
+          status: 'completed',
+          startedAt: new Date(startedAt).toISOString(),
+          duration: Date.now() - startedAt
+        });
+        return result;
+      } catch (error) {
+        const retryable = isRetryableError(error, { resumable: isStepResumable(step, this.stepRegistry) });
+        stepRecord.attempts.push({
+          attempt,
+          status: 'failed',
+          error: error.message,
+          retryable,
+          startedAt: new Date(startedAt).toISOString(),
+          duration: Date.now() - startedAt
+        });
+
+        if (!retryable || attempt >= maxAttempts || !this.runningWorkflows.has(workflow.id) || signal?.aborted) {
+          throw error;
+        }
+
+        const delay = computeBackoff(attempt, this.retryPolicy, error);
+        this.logger.warn(`Step ${step.id} failed (attempt ${attempt}/${maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+        this.emit('step:retrying', { workflowId: workflow.id, stepId: step.id, attempt, delay, error: error.message });
+        await this.sleep(delay, signal);
+
+        if (!this.runningWorkflows.has(workflow.id) || signal?.aborted) {
+          throw error;
+        }
+      }
+    }
   }
 
-  async handleDeployStep(integration, parameters, workflow) {
-    const deploymentResult = await integration.deploy(parameters);
+  // Lists the compensations for completed steps, newest first. An automatic
+  // rollbackStrategy runs them now; manual leaves them pending for
+  // runCompensations; none does neither.
+  async rollback(workflow, completedOrder) {
+    const strategy = workflow.plan.rollbackStrategy || 'automatic';
+    if (strategy === 'none') return;
+
+    const records = [...completedOrder].reverse()
+      .map(stepId => workflow.steps.find(record => record.id === stepId))
+      .filter(record => (record?.status === 'completed' || record?.variants?.some(isCompletedVariant)) &&
+        this.stepRegistry.get(record.type)?.compensation);
+    if (records.length === 0) return;
+
+    // Each completed variant of a matrix step is compensated on its own
+    workflow.compensations = records.flatMap(record => (
+      record.variants
+        ? record.variants.flatMap((variant, index) => (
+          isCompletedVariant(variant) ? [{ stepId: record.id, type: record.type, variant: index, status: 'pending' }] : []
+        )).reverse()
+        : [{ stepId: record.id, type: record.type, status: 'pending' }]
+    ));
+
+    if (strategy === 'automatic') {
+      await this.runCompensations(workflow);
+    } else {
+      this.logger.info(`Workflow ${workflow.id} has ${workflow.compensations.length} compensations awaiting a manual rollback`);
+    }
+  }
+
+  // Runs every pending or previously failed compensation in order. A failed
+  // compensation is recorded and does not stop the ones after it.
+  async runCompensations(workflow) {
+    for (const compensation of workflow.compensations || []) {
+      if (compensation.status !== 'pending' && compensation.status !== 'failed') continue;
+
+      const record = workflow.steps.find(step => step.id === compensation.stepId);
+      const target = compensation.variant === undefined
+        ? record
+        : { ...record, result: record.variants[compensation.variant].result };
+      const { method, run } = this.stepRegistry.get(compensation.type).compensation;
+      const integration = this.integrations[record.integration];
+      const startedAt = Date.now();
+      delete compensation.error;
+
+      if (typeof integration?.[method] !== 'function') {
+        compensation.status = 'skipped';
+        compensation.reason = `Integration '${record.integration}' cannot ${method}`;
+      } else {
+        try {
+          compensation.result = await run(integration, target, workflow);
+          compensation.status = 'completed';
+          this.markCompensated(record, compensation);
+        } catch (error) {
+          compensation.status = 'failed';
+          compensation.error = error.message;
+          this.logger.error(`Compensation for step ${record.id} of workflow ${workflow.id} failed:`, error);
+        }
+      }
+
+      compensation.duration = Date.now() - startedAt;
+      compensation.completedAt = new Date().toISOString();
+      this.emit('step:compensated', { workflowId: workflow.id, stepId: record.id, status: compensation.status });
+    }
+    return workflow.compensations;
+  }
+
+  // A compensated step's effects are gone, so retries must run it again
+  // rather than reuse its result
+  markCompensated(record, compensation) {
+    if (compensation.variant !== undefined) {
+      record.variants[compensation.variant].status = 'compensated';
+    }
+    if (record.status === 'completed') {
+      record.status = 'compensated';
+    }
+    record.compensatedAt = new Date().toISOString();
+  }
+
+  // Resolves after the delay, or as soon as the signal aborts
+  sleep(delay, signal) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, delay);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+
+  async executeStep(step, workflow, signal = this.abortControllers.get(workflow.id)?.signal) {
+    const { type, integration, parameters, timeout } = step;
+    
+    // The attempt gets its own signal so a timeout stops its integration call
+    const attemptController = new AbortController();
+    const attemptSignal = signal ? AbortSignal.any([signal, attemptController.signal]) : attemptController.signal;
+
+    // Set timeout for step execution
+    let timer;
+    const stepPromise = this.runStepWithIntegration(type, integration, parameters, workflow, attemptSignal, this.artifactsFor(workflow, step));
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Step ${step.id} timed out after ${timeout}ms`);
+        error.code = 'STEP_TIMEOUT';
+        attemptController.abort(error);
+        reject(error);
+      }, timeout);
+    });
+    
+    // Integrations that ignore the signal are abandoned rather than awaited
+    let onAbort;
+    const abortPromise = new Promise((_, reject) => {
+      onAbort = () => reject(signal.reason);
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+    
+    try {
+      return await Promise.race([stepPromise, timeoutPromise, abortPromise]);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Handlers save screenshots, files and reports here instead of returning them inline
+  artifactsFor(workflow, step) {
+    if (!this.artifactStore) return null;
     return {
-      type: 'deployment',
-      data: deploymentResult,
-      timestamp: new Date().toISOString()
+      save: artifact => this.artifactStore.save(workflow.id, { ...artifact, stepId: step.id }),
+      read: name => this.artifactStore.read(workflow.id, name)
     };
   }
 
+  async runStepWithIntegration(type, integrationName, parameters, workflow, signal, artifacts = null) {
+    const definition = this.stepRegistry.get(type);
+    if (!definition) {
+      const error = new Error(`Unknown step type: ${type}`);
+      error.retryable = false;
+      throw error;
+    }
+
+    const integration = this.integrations[integrationName];
+    if (!integration) {
+      const error = new Error(`Integration '${integrationName}' not found`);
+      error.retryable = false;
+      throw error;
+    }
+
+    return await definition.handler({ integration, parameters, workflow, signal, artifacts });
+  }
+
   generateSummary(results) {
+    // Skipped steps have no result
+    const executed = results.filter(Boolean);
     const summary = {
       totalSteps: results.length,
-      successfulSteps: results.filter(r => r.data && !r.error).length,
+      successfulSteps: executed.filter(r => r.data && !r.error).length,
+      skippedSteps: results.length - executed.length,
       executionTime: 0,
       artifacts: [],
       recommendations: []
     };
 
-    // Extract artifacts and metrics from results
-    results.forEach(result => {
+    // Extract artifacts and metrics from results, including each matrix variant's
+    const flattened = executed.flatMap(result => (
+      result.type === 'matrix' ? result.data.variants.map(variant => variant.result) : [result]
+    ));
+    flattened.forEach(result => {
       if (result.type === 'code_generation' && result.data.files) {
         summary.artifacts.push(...result.data.files);
       }
       if (result.type === 'test_results') {
-        summary.testsPassed = result.data.passed || 0;
-        summary.testsFailed = result.data.failed || 0;
+        summary.testsPassed = (summary.testsPassed || 0) + (result.data.passed || 0);
+        summary.testsFailed = (summary.testsFailed || 0) + (result.data.failed || 0);
       }
       if (result.type === 'commit') {
         summary.commitSha = result.data.sha;
         summary.commitUrl = result.data.html_url;
       }
+      if (result.type === 'pull_request') {
+        summary.pullRequestUrl = result.data.url;
+      }
     });
 
     return summary;
   }
 
-  async cancel(workflowId) {
+  cancellationError(workflowId) {
+    const error = new Error(`Workflow ${workflowId} was cancelled`);
+    error.code = 'WORKFLOW_CANCELLED';
+    error.retryable = false;
+    return error;
+  }
+
+  // error is the abort reason handed to running steps and integrations
+  async cancel(workflowId, error = null) {
+    // Pending approvals fail with the same reason, so the workflow is stopped
+    // rather than failed and nothing is rolled back
+    const reason = error || this.cancellationError(workflowId);
+    for (const [key, pending] of this.pendingApprovals) {
+      if (pending.workflowId === workflowId) {
+        clearTimeout(pending.timer);
+        this.pendingApprovals.delete(key);
+        pending.stepRecord.status = STOPPED_STEP_STATUSES[reason.code] || 'cancelled';
+        pending.reject(reason);
+      }
+    }
+
     const workflow = this.runningWorkflows.get(workflowId);
     if (workflow) {
       workflow.status = 'cancelling';
-      // Implement cancellation logic here
+      // No further steps start; running steps and their integration calls abort
       this.runningWorkflows.delete(workflowId);
+      this.abortControllers.get(workflowId)?.abort(reason);
       this.logger.info(`Workflow ${workflowId} cancelled`);
+      this.emit('workflow:cancelled', { workflowId });
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,121 @@
+import { PRIORITIES, getPriority } from './plan-schema.js';
+
+export const SORT_FIELDS = ['createdAt', 'priority', 'status'];
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+const sortValues = {
+  createdAt: workflow => workflow.createdAt,
+  priority: workflow => PRIORITIES.indexOf(getPriority(workflow)),
+  status: workflow => workflow.status
+};
+
+// Filters, sorts and pages workflows. Paging uses an opaque keyset cursor of
+// the last returned workflow's sort value and id, so pages stay stable while
+// workflows are being added.
+export function queryWorkflows(workflows, criteria = {}) {
+  const {
+    sort = 'createdAt',
+    order = 'desc',
+    limit = DEFAULT_LIMIT,
+    cursor
+  } = criteria;
+
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new Error(`Cannot sort workflows by ${sort}`);
+  }
+
+  const sortValue = sortValues[sort];
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = (a, b) => direction * (
+    compareValues(sortValue(a), sortValue(b)) || compareValues(a.id, b.id)
+  );
+
+  const matching = workflows
+    .filter(workflow => matchesCriteria(workflow, criteria))
+    .sort(compare);
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    start = matching.findIndex(workflow =>
+      direction * (compareValues(sortValue(workflow), after.value) || compareValues(workflow.id, after.id)) > 0);
+    if (start === -1) start = matching.length;
+  }
+
+  const page = matching.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const nextCursor = start + limit < matching.length && last
+    ? encodeCursor({ value: sortValue(last), id: last.id })
+    : null;
+
+  return { workflows: page, total: matching.length, nextCursor };
+}
+
+function matchesCriteria(workflow, criteria) {
+  const { status, type, trigger, repository, priority, createdAfter, createdBefore, search, labels } = criteria;
+  const options = workflow.options || {};
+
+  if (status && !toList(status).includes(workflow.status)) return false;
+  if (type && !toList(type).includes(options.type)) return false;
+  if (trigger && !toList(trigger).includes(options.trigger)) return false;
+  if (repository && options.repository !== repository) return false;
+  if (priority && !toList(priority).includes(getPriority(workflow))) return false;
+  if (createdAfter && new Date(workflow.createdAt) < new Date(createdAfter)) return false;
+  if (createdBefore && new Date(workflow.createdAt) > new Date(createdBefore)) return false;
+
+  if (search && !String(workflow.instruction || '').toLowerCase().includes(search.toLowerCase())) {
+    return false;
+  }
+
+  // Every requested label must be present with the same value
+  if (labels) {
+    const workflowLabels = options.labels || {};
+    for (const [name, value] of Object.entries(labels)) {
+      if (workflowLabels[name] !== value) return false;
+    }
+  }
+
+  return true;
+}
+
+// Parses label=team:payments query values into { team: 'payments' }
+export function parseLabels(values) {
+  const labels = {};
+  for (const value of toList(values)) {
+    const separator = value.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Label filter "${value}" must look like name:value`);
+    }
+    labels[value.slice(0, separator)] = value.slice(separator + 1);
+  }
+  return labels;
+}
+
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (position && typeof position.id === 'string') {
+      return position;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new Error('Invalid pagination cursor');
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
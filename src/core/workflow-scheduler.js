@@ -0,0 +1,105 @@
+import { PRIORITIES, getPriority } from './plan-schema.js';
+
+// Admits workflows into execution under a global concurrency limit and
+// optional per-type limits. Waiting workflows are ordered by priority, then
+// by arrival, so critical incident responses go straight to the front. A
+// workflow blocked by its type limit does not hold up others behind it.
+export class WorkflowScheduler {
+  constructor({ maxConcurrent = 5, typeLimits = {} } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.typeLimits = typeLimits;
+    this.running = new Map();
+    this.queue = [];
+    this.sequence = 0;
+  }
+
+  // A workflow that is already waiting shares its place in the queue
+  acquire(workflow) {
+    const waiting = this.queue.find(entry => entry.workflow.id === workflow.id);
+    if (waiting) return waiting.promise;
+
+    const entry = {
+      workflow,
+      type: workflow.options?.type,
+      rank: PRIORITIES.indexOf(getPriority(workflow)),
+      sequence: this.sequence++
+    };
+    entry.promise = new Promise((resolve, reject) => {
+      Object.assign(entry, { resolve, reject });
+    });
+    this.queue.push(entry);
+    this.queue.sort((a, b) => b.rank - a.rank || a.sequence - b.sequence);
+    this.dispatch();
+    return entry.promise;
+  }
+
+  isRunning(workflowId) {
+    return this.running.has(workflowId);
+  }
+
+  release(workflowId) {
+    if (this.running.delete(workflowId)) {
+      this.dispatch();
+    }
+  }
+
+  // Removes a workflow that is still waiting; its acquire() rejects with error
+  cancel(workflowId, error) {
+    const index = this.queue.findIndex(entry => entry.workflow.id === workflowId);
+    if (index === -1) return false;
+
+    const [entry] = this.queue.splice(index, 1);
+    delete entry.workflow.queuePosition;
+    entry.reject(error);
+    this.updatePositions();
+    return true;
+  }
+
+  dispatch() {
+    let index = 0;
+    while (index < this.queue.length && this.running.size < this.maxConcurrent) {
+      const entry = this.queue[index];
+      if (this.isAtTypeLimit(entry.type)) {
+        index++;
+        continue;
+      }
+
+      this.queue.splice(index, 1);
+      this.running.set(entry.workflow.id, entry.type);
+      delete entry.workflow.queuePosition;
+      entry.resolve();
+    }
+
+    this.updatePositions();
+  }
+
+  isAtTypeLimit(type) {
+    const limit = this.typeLimits[type];
+    if (limit === undefined) return false;
+
+    let running = 0;
+    for (const runningType of this.running.values()) {
+      if (runningType === type) running++;
+    }
+    return running >= limit;
+  }
+
+  updatePositions() {
+    this.queue.forEach((entry, index) => {
+      entry.workflow.queuePosition = index + 1;
+    });
+  }
+
+  getQueuePosition(workflowId) {
+    const index = this.queue.findIndex(entry => entry.workflow.id === workflowId);
+    return index === -1 ? null : index + 1;
+  }
+
+  getStats() {
+    return {
+      running: this.running.size,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent
+    };
+  }
+}
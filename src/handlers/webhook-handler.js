@@ -1,6 +1,11 @@
 import { Router } from 'express';
 import crypto from 'crypto';
 import { body, validationResult } from 'express-validator';
+import {
+  WORKFLOW_DEFINITIONS_PATH,
+  parseWorkflowDefinition,
+  matchesTrigger
+} from '../core/workflow-definitions.js';
 
 export class WebhookHandler {
   constructor(orchestrationEngine) {
@@ -82,49 +87,136 @@ export class WebhookHandler {
   }
 
   // GitHub webhook handler
+  // Acknowledges the delivery right away and hands the work to the
+  // background, so long GitHub API calls never time out the sender
+  processInBackground(source, task) {
+    Promise.resolve()
+      .then(task)
+      .catch(error => console.error(`${source} webhook processing failed:`, error));
+  }
+
   async handleGitHubWebhook(req, res) {
+    const event = req.headers['x-github-event'];
+    const payload = req.body;
+    
+    console.log(`Received GitHub webhook: ${event}`);
+    
+    res.status(202).json({ message: 'Webhook accepted' });
+    this.processInBackground('GitHub', () => this.dispatchGitHubEvent(event, payload));
+  }
+
+  async dispatchGitHubEvent(event, payload) {
+    switch (event) {
+      case 'push':
+        await this.handlePushEvent(payload);
+        break;
+        
+      case 'pull_request':
+        await this.handlePullRequestEvent(payload);
+        break;
+        
+      case 'workflow_run':
+        await this.handleWorkflowRunEvent(payload);
+        break;
+        
+      case 'issues':
+        await this.handleIssuesEvent(payload);
+        break;
+        
+      case 'release':
+        await this.handleReleaseEvent(payload);
+        break;
+        
+      default:
+        console.log(`Unhandled GitHub event: ${event}`);
+    }
+  }
+
+  // Runs the repository's own .autodevops/workflows definitions that match
+  // the event. Returns false when none match so the caller can fall back to
+  // AI planning. So does a failure to fetch the definitions, so the event is
+  // still handled when GitHub is down or rate limiting.
+  async runRepositoryWorkflows(event, { owner, repo, sha }, options) {
+    const github = this.orchestrationEngine.integrations.github;
+    let files;
     try {
-      const event = req.headers['x-github-event'];
-      const payload = req.body;
-      
-      console.log(`Received GitHub webhook: ${event}`);
-      
-      switch (event) {
-        case 'push':
-          await this.handlePushEvent(payload);
-          break;
-          
-        case 'pull_request':
-          await this.handlePullRequestEvent(payload);
-          break;
-          
-        case 'workflow_run':
-          await this.handleWorkflowRunEvent(payload);
-          break;
-          
-        case 'issues':
-          await this.handleIssuesEvent(payload);
-          break;
-          
-        case 'release':
-          await this.handleReleaseEvent(payload);
-          break;
-          
-        default:
-          console.log(`Unhandled GitHub event: ${event}`);
+      files = await github.getWorkflowDefinitions({
+        owner,
+        repo,
+        ref: sha,
+        directory: WORKFLOW_DEFINITIONS_PATH
+      });
+    } catch (error) {
+      console.error(`Failed to load workflow definitions of ${repo}:`, error.message);
+      return false;
+    }
+    
+    const definitions = [];
+    const invalid = [];
+    
+    for (const file of files) {
+      const { definition, errors } = parseWorkflowDefinition(file.content, file.path, this.orchestrationEngine.stepRegistry);
+      if (definition) {
+        definitions.push(definition);
+      } else {
+        invalid.push({ path: file.path, errors });
       }
+    }
+    
+    if (invalid.length > 0) {
+      console.warn(`Invalid workflow definitions in ${repo}:`, JSON.stringify(invalid));
       
-      res.status(200).json({ message: 'Webhook processed successfully' });
-    } catch (error) {
-      console.error('GitHub webhook error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
+      // The valid definitions still run when the status cannot be posted
+      if (sha) {
+        try {
+          await github.createCommitStatus({
+            owner,
+            repo,
+            sha,
+            state: 'error',
+            context: 'autodevops/workflows',
+            description: this.describeInvalidDefinitions(invalid)
+          });
+        } catch (error) {
+          console.error(`Failed to report invalid workflow definitions of ${repo}:`, error.message);
+        }
+      }
+    }
+    
+    const matching = definitions.filter(definition => matchesTrigger(definition, event));
+    
+    for (const definition of matching) {
+      console.log(`Running workflow definition ${definition.path} for ${event.type} event`);
+      this.orchestrationEngine.submitDefinition(definition, options);
     }
+    
+    return matching.length > 0;
+  }
+
+  describeInvalidDefinitions(invalid) {
+    const [{ path, errors: [problem] }] = invalid;
+    const location = problem.path ? `${path} (${problem.path})` : path;
+    return `${invalid.length} invalid workflow definition(s). ${location}: ${problem.message}`;
   }
 
   async handlePushEvent(payload) {
-    const { repository, pusher, commits, ref } = payload;
+    const { repository, pusher, commits, ref, after } = payload;
     const branch = ref.replace('refs/heads/', '');
     
+    const handled = await this.runRepositoryWorkflows(
+      { type: 'push', branch },
+      { owner: repository.owner.login, repo: repository.name, sha: after },
+      {
+        type: 'ci_cd',
+        trigger: 'push',
+        repository: repository.name,
+        branch,
+        pusher: pusher.name,
+        commits: commits.length
+      }
+    );
+    if (handled) return;
+    
     // Skip non-main branch pushes unless configured otherwise
     if (branch !== 'main' && branch !== 'master') {
       console.log(`Ignoring push to ${branch} branch`);
@@ -135,7 +227,7 @@ export class WebhookHandler {
     const instruction = `Analyze recent commits and run automated tests for repository ${repository.name}. 
 Commits: ${commits.map(c => c.message).join(', ')}`;
     
-    await this.orchestrationEngine.executeWorkflow(instruction, {
+    this.orchestrationEngine.submitWorkflow(instruction, {
       type: 'ci_cd',
       trigger: 'push',
       repository: repository.name,
@@ -148,13 +240,27 @@ Commits: ${commits.map(c => c.message).join(', ')}`;
   async handlePullRequestEvent(payload) {
     const { action, pull_request, repository } = payload;
     
+    const handled = await this.runRepositoryWorkflows(
+      { type: 'pull_request', action, branch: pull_request.base.ref },
+      { owner: repository.owner.login, repo: repository.name, sha: pull_request.head.sha },
+      {
+        type: 'pr_review',
+        trigger: action,
+        repository: repository.name,
+        pr_number: pull_request.number,
+        author: pull_request.user.login,
+        branch: pull_request.head.ref
+      }
+    );
+    if (handled) return;
+    
     if (action === 'opened' || action === 'synchronize') {
       // Trigger automated review and testing
       const instruction = `Review pull request #${pull_request.number} in ${repository.name}. 
 Title: ${pull_request.title}
 Description: ${pull_request.body || 'No description'}`;
       
-      await this.orchestrationEngine.executeWorkflow(instruction, {
+      this.orchestrationEngine.submitWorkflow(instruction, {
         type: 'pr_review',
         trigger: action,
         repository: repository.name,
@@ -175,7 +281,7 @@ Description: ${pull_request.body || 'No description'}`;
         // Trigger failure analysis and remediation
         const instruction = `Analyze failed workflow run ${workflow_run.name} in ${repository.name} and suggest remediation steps.`;
         
-        await this.orchestrationEngine.executeWorkflow(instruction, {
+        this.orchestrationEngine.submitWorkflow(instruction, {
           type: 'failure_analysis',
           trigger: 'workflow_failure',
           repository: repository.name,
@@ -196,7 +302,7 @@ Description: ${pull_request.body || 'No description'}`;
 Title: ${issue.title}
 Description: ${issue.body || 'No description'}`;
       
-      await this.orchestrationEngine.executeWorkflow(instruction, {
+      this.orchestrationEngine.submitWorkflow(instruction, {
         type: 'issue_analysis',
         trigger: 'issue_opened',
         repository: repository.name,
@@ -214,7 +320,7 @@ Description: ${issue.body || 'No description'}`;
       // Trigger deployment workflow
       const instruction = `Deploy release ${release.tag_name} of ${repository.name} to production environment.`;
       
-      await this.orchestrationEngine.executeWorkflow(instruction, {
+      this.orchestrationEngine.submitWorkflow(instruction, {
         type: 'deployment',
         trigger: 'release_published',
         repository: repository.name,
@@ -240,38 +346,55 @@ Description: ${issue.body || 'No description'}`;
       
       console.log(`Received Phoenix webhook: ${type}`);
       
-      switch (type) {
-        case 'alert':
-          await this.handlePhoenixAlert(data);
-          break;
-          
-        case 'metric_threshold':
-          await this.handleMetricThreshold(data);
-          break;
-          
-        case 'system_health':
-          await this.handleSystemHealth(data);
-          break;
-          
-        default:
-          console.log(`Unhandled Phoenix event: ${type}`);
-      }
-      
-      res.status(200).json({ message: 'Phoenix webhook processed' });
+      res.status(202).json({ message: 'Phoenix webhook accepted' });
+      this.processInBackground('Phoenix', () => this.dispatchPhoenixEvent(type, data));
     } catch (error) {
       console.error('Phoenix webhook error:', error);
       res.status(500).json({ error: 'Webhook processing failed' });
     }
   }
 
+  async dispatchPhoenixEvent(type, data) {
+    switch (type) {
+      case 'alert':
+        await this.handlePhoenixAlert(data);
+        break;
+        
+      case 'metric_threshold':
+        await this.handleMetricThreshold(data);
+        break;
+        
+      case 'system_health':
+        await this.handleSystemHealth(data);
+        break;
+        
+      default:
+        console.log(`Unhandled Phoenix event: ${type}`);
+    }
+  }
+
   async handlePhoenixAlert(data) {
     const { severity, message, workflowId } = data;
     
+    // Alerts are not tied to a commit, so definitions come from the default branch
+    const handled = await this.runRepositoryWorkflows(
+      { type: 'alert', severity },
+      {},
+      {
+        type: 'incident_response',
+        trigger: `${severity}_alert`,
+        alert_data: data,
+        priority: severity === 'critical' ? 'critical' : 'high',
+        affected_workflow: workflowId
+      }
+    );
+    if (handled) return;
+    
     if (severity === 'critical') {
       // Trigger automatic remediation
       const instruction = `Handle critical alert: ${message}. Analyze the issue and implement automatic remediation if possible.`;
       
-      await this.orchestrationEngine.executeWorkflow(instruction, {
+      this.orchestrationEngine.submitWorkflow(instruction, {
         type: 'incident_response',
         trigger: 'critical_alert',
         alert_data: data,
@@ -287,7 +410,7 @@ Description: ${issue.body || 'No description'}`;
     // Trigger performance optimization workflow
     const instruction = `Optimize system performance: ${metric} has exceeded threshold (${threshold}). Current value: ${current_value}.`;
     
-    await this.orchestrationEngine.executeWorkflow(instruction, {
+    this.orchestrationEngine.submitWorkflow(instruction, {
       type: 'performance_optimization',
       trigger: 'metric_threshold',
       metric_data: data
@@ -301,7 +424,7 @@ Description: ${issue.body || 'No description'}`;
       // Trigger system recovery workflow
       const instruction = `System health is ${status}. Analyze affected components and implement recovery procedures.`;
       
-      await this.orchestrationEngine.executeWorkflow(instruction, {
+      this.orchestrationEngine.submitWorkflow(instruction, {
         type: 'system_recovery',
         trigger: 'health_check',
         health_data: data,
@@ -326,7 +449,7 @@ Description: ${issue.body || 'No description'}`;
       console.log(`Received automation webhook: ${trigger}`);
       
       // Execute workflow based on trigger
-      const result = await this.orchestrationEngine.executeWorkflow(
+      const { workflowId } = this.orchestrationEngine.submitWorkflow(
         instruction || `Handle automation trigger: ${trigger}`,
         {
           ...parameters,
@@ -336,10 +459,11 @@ Description: ${issue.body || 'No description'}`;
         }
       );
       
-      res.json({
+      const statusUrl = `/api/workflow/${workflowId}`;
+      res.status(202).location(statusUrl).json({
         message: 'Automation workflow triggered',
-        workflowId: result.workflowId,
-        success: result.success
+        workflowId,
+        statusUrl
       });
     } catch (error) {
       console.error('Automation webhook error:', error);
@@ -366,7 +490,7 @@ Description: ${issue.body || 'No description'}`;
       if (status === 'failed') {
         const instruction = `Analyze failed pipeline ${pipeline_id} at stage ${stage || 'unknown'} and implement recovery procedures.`;
         
-        await this.orchestrationEngine.executeWorkflow(instruction, {
+        this.orchestrationEngine.submitWorkflow(instruction, {
           type: 'pipeline_recovery',
           trigger: 'pipeline_failure',
           pipeline_id,
@@ -18,6 +18,7 @@ import { WebhookHandler } from './handlers/webhook-handler.js';
 import { APIRoutes } from './routes/api-routes.js';
 import { ErrorHandler } from './utils/error-handler.js';
 import { MetricsCollector } from './utils/metrics-collector.js';
+import { logContextFormat } from './utils/log-context.js';
 
 // Load environment variables
 dotenv.config();
@@ -26,11 +27,13 @@ dotenv.config();
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
+    logContextFormat(),
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
     winston.format.colorize(),
-    winston.format.printf(({ timestamp, level, message, stack }) => {
-      return `${timestamp} [${level}]: ${stack || message}`;
+    winston.format.printf(({ timestamp, level, message, stack, workflowId, stepId }) => {
+      const context = workflowId ? ` [${[workflowId, stepId].filter(Boolean).join('/')}]` : '';
+      return `${timestamp} [${level}]${context}: ${stack || message}`;
     })
   ),
   transports: [
@@ -39,6 +42,14 @@ const logger = winston.createLogger({
   ]
 });
 
+const parseList = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Parses "ci_cd=2,pr_review=3" into { ci_cd: 2, pr_review: 3 }
+const parseLimits = (value) => Object.fromEntries(parseList(value).map(entry => {
+  const [name, limit] = entry.split('=');
+  return [name.trim(), parseInt(limit)];
+}));
+
 class AutoDevOpsOrchestrator {
   constructor() {
     this.app = express();
@@ -75,7 +86,8 @@ class AutoDevOpsOrchestrator {
     this.integrations.github = new GitHubIntegration({
       token: process.env.GITHUB_TOKEN,
       owner: process.env.GITHUB_OWNER,
-      repo: process.env.GITHUB_REPO
+      repo: process.env.GITHUB_REPO,
+      logger
     });
 
     // Initialize Task Master client
@@ -83,7 +95,8 @@ class AutoDevOpsOrchestrator {
       apiKey: process.env.TASK_MASTER_API_KEY,
       endpoint: process.env.TASK_MASTER_ENDPOINT,
       model: process.env.AI_MODEL,
-      temperature: parseFloat(process.env.AI_TEMPERATURE || '0.7')
+      temperature: parseFloat(process.env.AI_TEMPERATURE || '0.7'),
+      logger
     });
 
     // Initialize FastMCP bridge
@@ -91,7 +104,8 @@ class AutoDevOpsOrchestrator {
       host: process.env.MCP_HOST,
       port: parseInt(process.env.MCP_PORT),
       protocol: process.env.MCP_PROTOCOL,
-      authToken: process.env.MCP_AUTH_TOKEN
+      authToken: process.env.MCP_AUTH_TOKEN,
+      logger
     });
 
     // Initialize Playwright test runner
@@ -99,7 +113,8 @@ class AutoDevOpsOrchestrator {
       headless: process.env.PLAYWRIGHT_HEADLESS === 'true',
       browser: process.env.PLAYWRIGHT_BROWSER,
       timeout: parseInt(process.env.TEST_TIMEOUT),
-      retryCount: parseInt(process.env.TEST_RETRY_COUNT)
+      retryCount: parseInt(process.env.TEST_RETRY_COUNT),
+      logger
     });
 
     // Initialize Phoenix monitor
@@ -107,7 +122,8 @@ class AutoDevOpsOrchestrator {
       endpoint: process.env.PHOENIX_ENDPOINT,
       apiKey: process.env.PHOENIX_API_KEY,
       webhookUrl: process.env.MONITORING_WEBHOOK,
-      metricsInterval: parseInt(process.env.METRICS_INTERVAL)
+      metricsInterval: parseInt(process.env.METRICS_INTERVAL),
+      logger
     });
 
     // Initialize all integrations
@@ -127,7 +143,42 @@ class AutoDevOpsOrchestrator {
     
     this.orchestrationEngine = new OrchestrationEngine({
       integrations: this.integrations,
-      logger
+      logger,
+      config: {
+        planTtl: parseInt(process.env.PLAN_TTL || '3600000'),
+        deadlineFactor: parseFloat(process.env.WORKFLOW_DEADLINE_FACTOR || '3'),
+        maxParallelSteps: parseInt(process.env.WORKFLOW_MAX_PARALLEL_STEPS || '3'),
+        templatesDirectory: process.env.WORKFLOW_TEMPLATES_DIR,
+        approval: {
+          stepTypes: parseList(process.env.APPROVAL_STEP_TYPES),
+          environments: parseList(process.env.APPROVAL_ENVIRONMENTS),
+          branches: parseList(process.env.APPROVAL_BRANCHES),
+          timeout: parseInt(process.env.APPROVAL_TIMEOUT || '86400000')
+        },
+        retention: {
+          maxAge: parseInt(process.env.WORKFLOW_RETENTION_MAX_AGE || '604800000'),
+          maxEntries: parseInt(process.env.WORKFLOW_RETENTION_MAX_ENTRIES || '1000')
+        },
+        retry: {
+          initialDelay: parseInt(process.env.STEP_RETRY_INITIAL_DELAY || '1000'),
+          maxDelay: parseInt(process.env.STEP_RETRY_MAX_DELAY || '30000')
+        },
+        scheduler: {
+          maxConcurrent: parseInt(process.env.WORKFLOW_MAX_CONCURRENT || '5'),
+          typeLimits: parseLimits(process.env.WORKFLOW_TYPE_LIMITS)
+        },
+        storage: {
+          type: process.env.STATE_STORAGE || 'memory',
+          file: process.env.STATE_FILE || './data/orchestrator-state.jsonl'
+        },
+        artifacts: {
+          directory: process.env.ARTIFACTS_DIR || './data/artifacts'
+        },
+        concurrency: {
+          strategy: process.env.WORKFLOW_CONCURRENCY_STRATEGY || 'supersede',
+          debounce: parseInt(process.env.WORKFLOW_DEBOUNCE || '0')
+        }
+      }
     });
 
     await this.orchestrationEngine.initialize();
@@ -264,6 +315,8 @@ class AutoDevOpsOrchestrator {
         this.server.close();
       }
 
+      await this.orchestrationEngine?.shutdown();
+
       // Cleanup integrations
       if (this.integrations) {
         await Promise.all([
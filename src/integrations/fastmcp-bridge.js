@@ -3,8 +3,9 @@ import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
 
 export class FastMCPBridge extends EventEmitter {
-  constructor({ host, port, protocol, authToken }) {
+  constructor({ host, port, protocol, authToken, logger = console }) {
     super();
+    this.logger = logger;
     this.host = host;
     this.port = port;
     this.protocol = protocol;
@@ -21,7 +22,7 @@ export class FastMCPBridge extends EventEmitter {
   async initialize() {
     try {
       await this.connect();
-      console.log('✅ FastMCP bridge initialized');
+      this.logger.info('✅ FastMCP bridge initialized');
     } catch (error) {
       throw new Error(`Failed to initialize FastMCP bridge: ${error.message}`);
     }
@@ -82,7 +83,7 @@ export class FastMCPBridge extends EventEmitter {
       try {
         await this.connect();
       } catch (error) {
-        console.warn('FastMCP reconnection failed:', error.message);
+        this.logger.warn(`FastMCP reconnection failed: ${error.message}`);
       }
     }, delay);
   }
@@ -110,7 +111,7 @@ export class FastMCPBridge extends EventEmitter {
         }
       }
     } catch (error) {
-      console.error('Failed to parse MCP message:', error);
+      this.logger.error('Failed to parse MCP message:', error);
     }
   }
 
@@ -123,7 +124,7 @@ export class FastMCPBridge extends EventEmitter {
         try {
           callback(data);
         } catch (error) {
-          console.error('Error in notification callback:', error);
+          this.logger.error('Error in notification callback:', error);
         }
       });
     }
@@ -133,7 +134,7 @@ export class FastMCPBridge extends EventEmitter {
 
   async sendRequest(method, params = {}, timeout = 30000) {
     if (!this.isConnected) {
-      throw new Error('FastMCP bridge not connected');
+      throw notConnectedError();
     }
 
     const id = uuidv4();
@@ -167,7 +168,7 @@ export class FastMCPBridge extends EventEmitter {
 
   sendNotification(method, params = {}) {
     if (!this.isConnected) {
-      throw new Error('FastMCP bridge not connected');
+      throw notConnectedError();
     }
 
     const message = {
@@ -252,4 +253,10 @@ export class FastMCPBridge extends EventEmitter {
       this.ws = null;
     }
   }
-}
\ No newline at end of file
+}
+
+function notConnectedError() {
+  const error = new Error('FastMCP bridge not connected');
+  error.code = 'MCP_DISCONNECTED';
+  return error;
+}
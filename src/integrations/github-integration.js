@@ -1,9 +1,11 @@
 import { Octokit } from '@octokit/rest';
 import fs from 'fs/promises';
 import path from 'path';
+import { wrapError } from '../utils/retry-policy.js';
 
 export class GitHubIntegration {
-  constructor({ token, owner, repo }) {
+  constructor({ token, owner, repo, logger = console }) {
+    this.logger = logger;
     this.octokit = new Octokit({ auth: token });
     this.owner = owner;
     this.repo = repo;
@@ -19,20 +21,22 @@ export class GitHubIntegration {
       });
       
       this.isInitialized = true;
-      console.log('✅ GitHub integration initialized');
+      this.logger.info('✅ GitHub integration initialized');
     } catch (error) {
       throw new Error(`Failed to initialize GitHub integration: ${error.message}`);
     }
   }
 
-  async analyzeRequirements(instruction, parameters = {}) {
+  async analyzeRequirements(instruction, parameters = {}, { signal } = {}) {
     // Analyze repository structure and existing code
     const analysis = {
       instruction,
-      repositoryStructure: await this.getRepositoryStructure(),
-      existingFiles: await this.getRelevantFiles(instruction),
+      repositoryStructure: await this.getRepositoryStructure({ signal }),
+      existingFiles: await this.getRelevantFiles(instruction, { signal }),
       recommendations: []
     };
+    // The lookups above tolerate failures, including aborted requests
+    signal?.throwIfAborted();
 
     // Add recommendations based on analysis
     analysis.recommendations = this.generateRecommendations(analysis);
@@ -40,12 +44,13 @@ export class GitHubIntegration {
     return analysis;
   }
 
-  async getRepositoryStructure() {
+  async getRepositoryStructure({ signal } = {}) {
     try {
       const { data: contents } = await this.octokit.rest.repos.getContent({
         owner: this.owner,
         repo: this.repo,
-        path: ''
+        path: '',
+        request: { signal }
       });
 
       const structure = {};
@@ -66,12 +71,12 @@ export class GitHubIntegration {
 
       return structure;
     } catch (error) {
-      console.warn('Failed to get repository structure:', error.message);
+      this.logger.warn(`Failed to get repository structure: ${error.message}`);
       return {};
     }
   }
 
-  async getRelevantFiles(instruction) {
+  async getRelevantFiles(instruction, { signal } = {}) {
     // Get files that might be relevant to the instruction
     const relevantExtensions = ['.js', '.ts', '.json', '.md', '.yml', '.yaml'];
     const files = [];
@@ -80,12 +85,13 @@ export class GitHubIntegration {
       const { data: contents } = await this.octokit.rest.repos.getContent({
         owner: this.owner,
         repo: this.repo,
-        path: ''
+        path: '',
+        request: { signal }
       });
 
       for (const item of contents) {
         if (item.type === 'file' && relevantExtensions.some(ext => item.name.endsWith(ext))) {
-          const fileContent = await this.getFileContent(item.path);
+          const fileContent = await this.getFileContent(item.path, { signal });
           files.push({
             path: item.path,
             name: item.name,
@@ -95,25 +101,26 @@ export class GitHubIntegration {
         }
       }
     } catch (error) {
-      console.warn('Failed to get relevant files:', error.message);
+      this.logger.warn(`Failed to get relevant files: ${error.message}`);
     }
 
     return files;
   }
 
-  async getFileContent(filePath) {
+  async getFileContent(filePath, { signal } = {}) {
     try {
       const { data } = await this.octokit.rest.repos.getContent({
         owner: this.owner,
         repo: this.repo,
-        path: filePath
+        path: filePath,
+        request: { signal }
       });
 
       if (data.content) {
         return Buffer.from(data.content, 'base64').toString('utf-8');
       }
     } catch (error) {
-      console.warn(`Failed to get content for ${filePath}:`, error.message);
+      this.logger.warn(`Failed to get content for ${filePath}: ${error.message}`);
     }
     
     return null;
@@ -167,22 +174,37 @@ export class GitHubIntegration {
     };
   }
 
-  async commitChanges({ message, files, branch = 'main' }) {
+  // Commits to branch, creating it from base when it does not exist yet. A
+  // branch created here is deleted again if the commit fails or is aborted,
+  // so a cancelled workflow does not leave a half-made branch behind.
+  async commitChanges({ message, files, branch = 'main', base = 'main' }, { signal } = {}) {
+    const request = { signal };
+    let createdBranch = false;
+
     try {
       // Get the current commit SHA
-      const { data: ref } = await this.octokit.rest.git.getRef({
-        owner: this.owner,
-        repo: this.repo,
-        ref: `heads/${branch}`
-      });
-      
-      const currentCommitSha = ref.object.sha;
+      let currentCommitSha = await this.getBranchHead(branch, request);
+      if (!currentCommitSha) {
+        currentCommitSha = await this.getBranchHead(base, request);
+        if (!currentCommitSha) {
+          throw new Error(`Base branch ${base} not found`);
+        }
+        await this.octokit.rest.git.createRef({
+          owner: this.owner,
+          repo: this.repo,
+          ref: `refs/heads/${branch}`,
+          sha: currentCommitSha,
+          request
+        });
+        createdBranch = true;
+      }
       
       // Get the current tree
       const { data: currentCommit } = await this.octokit.rest.git.getCommit({
         owner: this.owner,
         repo: this.repo,
-        commit_sha: currentCommitSha
+        commit_sha: currentCommitSha,
+        request
       });
       
       const baseTreeSha = currentCommit.tree.sha;
@@ -195,7 +217,8 @@ export class GitHubIntegration {
           owner: this.owner,
           repo: this.repo,
           content: file.content,
-          encoding: 'utf-8'
+          encoding: 'utf-8',
+          request
         });
         
         tree.push({
@@ -211,7 +234,8 @@ export class GitHubIntegration {
         owner: this.owner,
         repo: this.repo,
         tree,
-        base_tree: baseTreeSha
+        base_tree: baseTreeSha,
+        request
       });
       
       // Create new commit
@@ -220,15 +244,20 @@ export class GitHubIntegration {
         repo: this.repo,
         message,
         tree: newTree.sha,
-        parents: [currentCommitSha]
+        parents: [currentCommitSha],
+        request
       });
       
+      // Last chance to stop before the branch moves
+      signal?.throwIfAborted();
+      
       // Update the branch reference
       await this.octokit.rest.git.updateRef({
         owner: this.owner,
         repo: this.repo,
         ref: `heads/${branch}`,
-        sha: newCommit.sha
+        sha: newCommit.sha,
+        request
       });
       
       return {
@@ -236,15 +265,94 @@ export class GitHubIntegration {
         message: newCommit.message,
         url: newCommit.html_url,
         branch,
+        createdBranch,
         filesChanged: files.length
       };
       
     } catch (error) {
-      throw new Error(`Failed to commit changes: ${error.message}`);
+      if (createdBranch) {
+        await this.deleteBranch(branch).catch(cleanupError => {
+          this.logger.warn(`Failed to delete branch ${branch}: ${cleanupError.message}`);
+        });
+      }
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      throw wrapError(`Failed to commit changes: ${error.message}`, error);
+    }
+  }
+
+  // Returns the branch's head commit SHA, or null when the branch does not exist
+  async getBranchHead(branch, request = {}) {
+    try {
+      const { data: ref } = await this.octokit.rest.git.getRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${branch}`,
+        request
+      });
+      return ref.object.sha;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async deleteBranch(branch) {
+    await this.octokit.rest.git.deleteRef({
+      owner: this.owner,
+      repo: this.repo,
+      ref: `heads/${branch}`
+    });
+  }
+
+  // Compensation for commitChanges. A branch the commit created is deleted;
+  // otherwise a revert commit restores the parent's tree. Only the branch
+  // head can be reverted this way, so later commits make it fail.
+  async revertCommit({ sha, branch, createdBranch }) {
+    try {
+      if (createdBranch) {
+        await this.deleteBranch(branch);
+        return { branch, deletedBranch: true };
+      }
+
+      const head = await this.getBranchHead(branch);
+      if (head !== sha) {
+        throw new Error(`${branch} has moved on from ${sha}`);
+      }
+
+      const { data: commit } = await this.octokit.rest.git.getCommit({
+        owner: this.owner,
+        repo: this.repo,
+        commit_sha: sha
+      });
+      const { data: parent } = await this.octokit.rest.git.getCommit({
+        owner: this.owner,
+        repo: this.repo,
+        commit_sha: commit.parents[0].sha
+      });
+
+      const { data: revert } = await this.octokit.rest.git.createCommit({
+        owner: this.owner,
+        repo: this.repo,
+        message: `Revert "${commit.message}"`,
+        tree: parent.tree.sha,
+        parents: [sha]
+      });
+      await this.octokit.rest.git.updateRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${branch}`,
+        sha: revert.sha
+      });
+
+      return { sha: revert.sha, reverted: sha, branch };
+    } catch (error) {
+      throw wrapError(`Failed to revert commit ${sha}: ${error.message}`, error);
     }
   }
 
-  async createPullRequest({ title, body, head, base = 'main' }) {
+  async createPullRequest({ title, body, head, base = 'main' }, { signal } = {}) {
     try {
       const { data: pr } = await this.octokit.rest.pulls.create({
         owner: this.owner,
@@ -252,7 +360,8 @@ export class GitHubIntegration {
         title,
         body,
         head,
-        base
+        base,
+        request: { signal }
       });
       
       return {
@@ -263,7 +372,147 @@ export class GitHubIntegration {
         state: pr.state
       };
     } catch (error) {
-      throw new Error(`Failed to create pull request: ${error.message}`);
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      throw wrapError(`Failed to create pull request: ${error.message}`, error);
+    }
+  }
+
+  // Compensation for createPullRequest
+  async closePullRequest({ number }) {
+    try {
+      const { data: pr } = await this.octokit.rest.pulls.update({
+        owner: this.owner,
+        repo: this.repo,
+        pull_number: number,
+        state: 'closed'
+      });
+      return { number: pr.number, state: pr.state };
+    } catch (error) {
+      throw wrapError(`Failed to close pull request #${number}: ${error.message}`, error);
+    }
+  }
+
+  // Creates a GitHub deployment of the branch, remembering which ref was
+  // deployed to the environment before so it can be redeployed on rollback
+  async deploy({ environment = 'staging', branch = 'main' }, { signal } = {}) {
+    try {
+      const { data: previous } = await this.octokit.rest.repos.listDeployments({
+        owner: this.owner,
+        repo: this.repo,
+        environment,
+        per_page: 1,
+        request: { signal }
+      });
+
+      const { data: deployment } = await this.octokit.rest.repos.createDeployment({
+        owner: this.owner,
+        repo: this.repo,
+        ref: branch,
+        environment,
+        auto_merge: false,
+        required_contexts: [],
+        request: { signal }
+      });
+
+      return {
+        id: deployment.id,
+        ref: branch,
+        environment,
+        previousRef: previous[0]?.ref ?? null
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      throw wrapError(`Failed to deploy ${branch} to ${environment}: ${error.message}`, error);
+    }
+  }
+
+  // Compensation for deploy: redeploys the release that was live before
+  async rollbackDeployment({ environment, previousRef }) {
+    if (!previousRef) {
+      throw new Error(`No earlier deployment to ${environment} to roll back to`);
+    }
+
+    try {
+      const { data: deployment } = await this.octokit.rest.repos.createDeployment({
+        owner: this.owner,
+        repo: this.repo,
+        ref: previousRef,
+        environment,
+        auto_merge: false,
+        required_contexts: [],
+        description: 'Rollback'
+      });
+      return { id: deployment.id, ref: previousRef, environment };
+    } catch (error) {
+      throw wrapError(`Failed to roll back ${environment} to ${previousRef}: ${error.message}`, error);
+    }
+  }
+
+  async getWorkflowDefinitions({ owner = this.owner, repo = this.repo, ref, directory }) {
+    let entries;
+    try {
+      const { data } = await this.octokit.rest.repos.getContent({
+        owner,
+        repo,
+        path: directory,
+        ...(ref && { ref })
+      });
+      entries = Array.isArray(data) ? data : [];
+    } catch (error) {
+      if (error.status === 404) {
+        return [];
+      }
+      throw wrapError(`Failed to list workflow definitions: ${error.message}`, error);
+    }
+
+    const definitions = [];
+    for (const entry of entries) {
+      if (entry.type !== 'file' || !/\.ya?ml$/.test(entry.name)) continue;
+
+      let data;
+      try {
+        ({ data } = await this.octokit.rest.repos.getContent({
+          owner,
+          repo,
+          path: entry.path,
+          ...(ref && { ref })
+        }));
+      } catch (error) {
+        throw wrapError(`Failed to read workflow definition ${entry.path}: ${error.message}`, error);
+      }
+
+      definitions.push({
+        path: entry.path,
+        content: Buffer.from(data.content, 'base64').toString('utf-8')
+      });
+    }
+
+    return definitions;
+  }
+
+  async createCommitStatus({ owner = this.owner, repo = this.repo, sha, state, description, context = 'autodevops' }) {
+    try {
+      const { data } = await this.octokit.rest.repos.createCommitStatus({
+        owner,
+        repo,
+        sha,
+        state,
+        context,
+        // GitHub rejects descriptions longer than 140 characters
+        description: description.length > 140 ? `${description.slice(0, 137)}...` : description
+      });
+
+      return {
+        id: data.id,
+        state: data.state,
+        context: data.context
+      };
+    } catch (error) {
+      throw wrapError(`Failed to create commit status: ${error.message}`, error);
     }
   }
 
@@ -284,7 +533,7 @@ export class GitHubIntegration {
         updated_at: run.updated_at
       }));
     } catch (error) {
-      console.warn('Failed to get workflow runs:', error.message);
+      this.logger.warn(`Failed to get workflow runs: ${error.message}`);
       return [];
     }
   }
@@ -4,8 +4,9 @@ import { performance } from 'perf_hooks';
 import os from 'os';
 
 export class PhoenixMonitor extends EventEmitter {
-  constructor({ endpoint, apiKey, webhookUrl, metricsInterval }) {
+  constructor({ endpoint, apiKey, webhookUrl, metricsInterval, logger = console }) {
     super();
+    this.logger = logger;
     this.endpoint = endpoint;
     this.apiKey = apiKey;
     this.webhookUrl = webhookUrl;
@@ -47,7 +48,7 @@ export class PhoenixMonitor extends EventEmitter {
       await this.startMonitoring();
       
       this.isInitialized = true;
-      console.log('✅ Phoenix monitor initialized');
+      this.logger.info('✅ Phoenix monitor initialized');
     } catch (error) {
       throw new Error(`Failed to initialize Phoenix monitor: ${error.message}`);
     }
@@ -75,11 +76,11 @@ export class PhoenixMonitor extends EventEmitter {
       try {
         await this.collectAndSendMetrics();
       } catch (error) {
-        console.warn('Failed to collect metrics:', error.message);
+        this.logger.warn(`Failed to collect metrics: ${error.message}`);
       }
     }, this.metricsInterval);
     
-    console.log('Phoenix monitoring started');
+    this.logger.info('Phoenix monitoring started');
   }
 
   async stopMonitoring() {
@@ -90,7 +91,7 @@ export class PhoenixMonitor extends EventEmitter {
       this.monitoringInterval = null;
     }
     
-    console.log('Phoenix monitoring stopped');
+    this.logger.info('Phoenix monitoring stopped');
   }
 
   async collectAndSendMetrics() {
@@ -206,11 +207,13 @@ export class PhoenixMonitor extends EventEmitter {
       
       await this.client.post('/metrics', metric);
     } catch (error) {
-      console.warn(`Failed to send metric ${name}:`, error.message);
+      this.logger.warn(`Failed to send metric ${name}: ${error.message}`);
     }
   }
 
-  async setupMonitoring(workflowId, parameters = {}) {
+  async setupMonitoring(workflowId, parameters = {}, { signal } = {}) {
+    signal?.throwIfAborted();
+
     const monitoringConfig = {
       workflowId,
       alerts: parameters.alerts || [],
@@ -243,15 +246,30 @@ export class PhoenixMonitor extends EventEmitter {
     await this.sendEvent('monitoring.workflow_started', {
       workflowId,
       config: monitoringConfig
-    });
+    }, { signal });
+    
+    // sendEvent only warns, so a cancelled setup is undone here
+    if (signal?.aborted) {
+      this.metrics.workflows.delete(workflowId);
+      throw signal.reason;
+    }
     
     return monitoringConfig;
   }
 
+  // Compensation for setupMonitoring
+  async teardownMonitoring(workflowId) {
+    const removed = this.metrics.workflows.delete(workflowId);
+    if (removed) {
+      await this.sendEvent('monitoring.workflow_stopped', { workflowId });
+    }
+    return { workflowId, removed };
+  }
+
   async trackWorkflowStep(workflowId, stepId, status, metrics = {}) {
     const workflow = this.metrics.workflows.get(workflowId);
     if (!workflow) {
-      console.warn(`Workflow ${workflowId} not found in monitoring`);
+      this.logger.warn(`Workflow ${workflowId} not found in monitoring`);
       return;
     }
     
@@ -309,7 +327,7 @@ export class PhoenixMonitor extends EventEmitter {
     }, 5 * 60 * 1000); // Keep for 5 minutes
   }
 
-  async sendEvent(eventType, data) {
+  async sendEvent(eventType, data, { signal } = {}) {
     try {
       const event = {
         type: eventType,
@@ -318,9 +336,9 @@ export class PhoenixMonitor extends EventEmitter {
         service: 'autodevops-orchestrator'
       };
       
-      await this.client.post('/events', event);
+      await this.client.post('/events', event, { signal });
     } catch (error) {
-      console.warn(`Failed to send event ${eventType}:`, error.message);
+      this.logger.warn(`Failed to send event ${eventType}: ${error.message}`);
     }
   }
 
@@ -377,7 +395,7 @@ export class PhoenixMonitor extends EventEmitter {
           timestamp: new Date().toISOString()
         });
       } catch (error) {
-        console.warn('Failed to send webhook alert:', error.message);
+        this.logger.warn(`Failed to send webhook alert: ${error.message}`);
       }
     }
     
@@ -3,7 +3,8 @@ import fs from 'fs/promises';
 import path from 'path';
 
 export class PlaywrightTestRunner {
-  constructor({ headless, browser, timeout, retryCount }) {
+  constructor({ headless, browser, timeout, retryCount, logger = console }) {
+    this.logger = logger;
     this.headless = headless;
     this.browserType = browser || 'chromium';
     this.timeout = timeout || 30000;
@@ -25,7 +26,7 @@ export class PlaywrightTestRunner {
       });
       
       this.isInitialized = true;
-      console.log('✅ Playwright test runner initialized');
+      this.logger.info('✅ Playwright test runner initialized');
     } catch (error) {
       throw new Error(`Failed to initialize Playwright: ${error.message}`);
     }
@@ -64,7 +65,9 @@ export class PlaywrightTestRunner {
     return { context: this.context, page: this.page };
   }
 
-  async runTests(parameters = {}) {
+  // With an artifact store, screenshots are saved there and results carry
+  // { artifact } references instead of base64 data
+  async runTests(parameters = {}, { signal, artifacts } = {}) {
     const testSuite = parameters.testSuite || 'default';
     const testFiles = parameters.testFiles || [];
     const customTests = parameters.customTests || [];
@@ -82,13 +85,21 @@ export class PlaywrightTestRunner {
       }
     };
 
+    // Closing the context makes in-flight page operations fail right away
+    const closeOnAbort = () => {
+      this.context?.close().catch(() => {});
+    };
+    signal?.addEventListener('abort', closeOnAbort, { once: true });
+
     try {
+      signal?.throwIfAborted();
       // Create new context for test session
       await this.createContext();
       
       // Run file-based tests
       if (testFiles.length > 0) {
         for (const testFile of testFiles) {
+          signal?.throwIfAborted();
           const fileResults = await this.runTestFile(testFile);
           results.tests.push(...fileResults);
         }
@@ -97,7 +108,8 @@ export class PlaywrightTestRunner {
       // Run custom inline tests
       if (customTests.length > 0) {
         for (const test of customTests) {
-          const testResult = await this.runCustomTest(test);
+          signal?.throwIfAborted();
+          const testResult = await this.runCustomTest(test, artifacts);
           results.tests.push(testResult);
         }
       }
@@ -106,11 +118,15 @@ export class PlaywrightTestRunner {
       if (testFiles.length === 0 && customTests.length === 0) {
         const defaultTests = await this.generateDefaultTests(parameters);
         for (const test of defaultTests) {
-          const testResult = await this.runCustomTest(test);
+          signal?.throwIfAborted();
+          const testResult = await this.runCustomTest(test, artifacts);
           results.tests.push(testResult);
         }
       }
       
+      // Tests cut short by the abort were recorded as failures
+      signal?.throwIfAborted();
+      
       // Calculate summary
       results.summary.total = results.tests.length;
       results.summary.passed = results.tests.filter(t => t.status === 'passed').length;
@@ -130,6 +146,7 @@ export class PlaywrightTestRunner {
       results.endTime = new Date().toISOString();
       throw error;
     } finally {
+      signal?.removeEventListener('abort', closeOnAbort);
       // Cleanup context
       if (this.context) {
         await this.context.close();
@@ -163,7 +180,7 @@ export class PlaywrightTestRunner {
     }
   }
 
-  async runCustomTest(test) {
+  async runCustomTest(test, artifacts = null) {
     const testResult = {
       name: test.name || 'Unnamed test',
       status: 'running',
@@ -176,7 +193,7 @@ export class PlaywrightTestRunner {
       // Execute test steps
       if (test.steps) {
         for (const step of test.steps) {
-          const stepResult = await this.executeTestStep(step);
+          const stepResult = await this.executeTestStep(step, artifacts);
           testResult.steps.push(stepResult);
           
           if (stepResult.status === 'failed' && !test.continueOnFailure) {
@@ -214,9 +231,9 @@ export class PlaywrightTestRunner {
             fullPage: true,
             type: 'png'
           });
-          testResult.screenshot = screenshot.toString('base64');
+          testResult.screenshot = await this.storeScreenshot(screenshot, `${testResult.name}-failure.png`, artifacts);
         } catch (screenshotError) {
-          console.warn('Failed to take screenshot:', screenshotError.message);
+          this.logger.warn(`Failed to take screenshot: ${screenshotError.message}`);
         }
       }
     }
@@ -227,7 +244,7 @@ export class PlaywrightTestRunner {
     return testResult;
   }
 
-  async executeTestStep(step) {
+  async executeTestStep(step, artifacts = null) {
     const stepResult = {
       name: step.name || step.type,
       type: step.type,
@@ -262,7 +279,7 @@ export class PlaywrightTestRunner {
             path: step.path,
             fullPage: step.fullPage || false
           });
-          stepResult.screenshot = screenshot.toString('base64');
+          stepResult.screenshot = await this.storeScreenshot(screenshot, step.path ? path.basename(step.path) : 'screenshot.png', artifacts);
           break;
           
         case 'assert_text':
@@ -296,6 +313,20 @@ export class PlaywrightTestRunner {
     return stepResult;
   }
 
+  async storeScreenshot(screenshot, name, artifacts) {
+    if (!artifacts) {
+      return screenshot.toString('base64');
+    }
+
+    const { name: artifact } = await artifacts.save({
+      name,
+      content: screenshot,
+      contentType: 'image/png',
+      kind: 'screenshot'
+    });
+    return { artifact };
+  }
+
   async executeAssertion(assertion) {
     switch (assertion.type) {
       case 'title':
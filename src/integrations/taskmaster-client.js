@@ -1,7 +1,9 @@
 import axios from 'axios';
+import { wrapError } from '../utils/retry-policy.js';
 
 export class TaskMasterClient {
-  constructor({ apiKey, endpoint, model, temperature }) {
+  constructor({ apiKey, endpoint, model, temperature, logger = console }) {
+    this.logger = logger;
     this.apiKey = apiKey;
     this.endpoint = endpoint;
     this.model = model;
@@ -25,7 +27,7 @@ export class TaskMasterClient {
       await this.testConnection();
       
       this.isInitialized = true;
-      console.log('✅ Task Master client initialized');
+      this.logger.info('✅ Task Master client initialized');
     } catch (error) {
       throw new Error(`Failed to initialize Task Master client: ${error.message}`);
     }
@@ -43,7 +45,7 @@ export class TaskMasterClient {
     }
   }
 
-  async analyzeRequirements(instruction, parameters = {}) {
+  async analyzeRequirements(instruction, parameters = {}, { signal } = {}) {
     const prompt = `
 As an expert software architect and developer, analyze this development requirement:
 
@@ -65,7 +67,7 @@ Respond in JSON format with structured analysis.
       ...parameters,
       temperature: 0.3, // Lower temperature for more structured analysis
       max_tokens: 2000
-    });
+    }, { signal });
 
     try {
       return JSON.parse(response);
@@ -79,7 +81,7 @@ Respond in JSON format with structured analysis.
     }
   }
 
-  async generateCode(instruction, parameters = {}) {
+  async generateCode(instruction, parameters = {}, { signal } = {}) {
     const prompt = `
 As an expert developer, generate high-quality code based on this instruction:
 
@@ -102,7 +104,7 @@ Provide the complete code solution.
       ...parameters,
       temperature: this.temperature,
       max_tokens: 4000
-    });
+    }, { signal });
 
     // Extract code blocks and file information
     const codeBlocks = this.extractCodeBlocks(response);
@@ -120,34 +122,9 @@ Provide the complete code solution.
     };
   }
 
-  async generatePlan(instruction, parameters = {}) {
-    const prompt = `
-As a DevOps automation expert, create a detailed workflow plan for this instruction:
-
-"${instruction}"
-
-Create a JSON workflow plan with:
-{
-  "steps": [
-    {
-      "id": "unique_step_id",
-      "type": "step_type" // analyze, generate_code, run_tests, commit_changes, monitor, deploy
-      "description": "What this step does",
-      "integration": "required_integration", // github, playwright, phoenix, taskMaster
-      "parameters": {}, // Step-specific parameters
-      "timeout": 60000, // Timeout in milliseconds
-      "retryCount": 2 // Number of retries on failure
-    }
-  ],
-  "estimatedDuration": 300, // Total estimated time in seconds
-  "priority": "medium", // low, medium, high, critical
-  "dependencies": [], // External dependencies required
-  "rollbackStrategy": "automatic" // How to handle failures
-}
-
-Ensure the plan is comprehensive and executable.
-`;
-
+  // The orchestrator builds the planning prompt from its step registry, so
+  // it is sent as is rather than wrapped in a fixed list of step types
+  async generatePlan(prompt, parameters = {}) {
     const response = await this.generateCompletion(prompt, {
       ...parameters,
       temperature: 0.2, // Lower temperature for structured planning
@@ -157,7 +134,7 @@ Ensure the plan is comprehensive and executable.
     return response;
   }
 
-  async generateCompletion(prompt, parameters = {}) {
+  async generateCompletion(prompt, parameters = {}, { signal } = {}) {
     if (!this.isInitialized) {
       throw new Error('Task Master client not initialized');
     }
@@ -174,7 +151,7 @@ Ensure the plan is comprehensive and executable.
         ...parameters
       };
 
-      const response = await this.client.post('/completions', requestData);
+      const response = await this.client.post('/completions', requestData, { signal });
       
       // Handle different response formats from various AI providers
       if (response.data.choices && response.data.choices[0]) {
@@ -192,10 +169,14 @@ Ensure the plan is comprehensive and executable.
       throw new Error('Unexpected response format from Task Master API');
       
     } catch (error) {
+      // Report the cancellation itself rather than axios' CanceledError
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
       if (error.response) {
-        throw new Error(`Task Master API error: ${error.response.status} - ${error.response.data?.error || error.message}`);
+        throw wrapError(`Task Master API error: ${error.response.status} - ${error.response.data?.error || error.message}`, error);
       }
-      throw new Error(`Task Master request failed: ${error.message}`);
+      throw wrapError(`Task Master request failed: ${error.message}`, error);
     }
   }
 
@@ -1,5 +1,13 @@
+import path from 'path';
 import { Router } from 'express';
 import { body, param, query, validationResult } from 'express-validator';
+import { parseDuration } from '../utils/duration.js';
+import { parseLabels, SORT_FIELDS, DEFAULT_LIMIT, MAX_LIMIT } from '../core/workflow-query.js';
+import { LOG_LEVELS } from '../utils/workflow-log-capture.js';
+
+const MAX_WAIT = 5 * 60 * 1000; // 5 minutes
+const RESUBMISSION_CONFLICTS = ['has not finished', 'has no plan', 'no incomplete step'];
+const ROLLBACK_CONFLICTS = ['has not finished', 'has no plan', 'nothing to roll back', 'already being rolled back'];
 
 export class APIRoutes {
   constructor(orchestrationEngine) {
@@ -12,23 +20,82 @@ export class APIRoutes {
     // Workflow management endpoints
     this.router.post('/workflow/execute', 
       this.validateExecuteWorkflow(),
+      this.validateWait(),
       this.handleExecuteWorkflow.bind(this)
     );
     
+    this.router.post('/workflow/plan', 
+      this.validateExecuteWorkflow(),
+      this.handlePlanWorkflow.bind(this)
+    );
+    
+    this.router.post('/workflow/plan/:planId/execute', 
+      this.validateExecutePlan(),
+      this.validateWait(),
+      this.handleExecutePlan.bind(this)
+    );
+    
     this.router.get('/workflow/:workflowId', 
       this.validateWorkflowId(),
       this.handleGetWorkflowStatus.bind(this)
     );
     
+    this.router.post('/workflow/:workflowId/steps/:stepId/approve', 
+      this.validateApprovalDecision(),
+      this.handleApproveStep.bind(this)
+    );
+    
+    this.router.post('/workflow/:workflowId/steps/:stepId/reject', 
+      this.validateApprovalDecision(),
+      this.handleRejectStep.bind(this)
+    );
+    
+    this.router.post('/workflow/:workflowId/rerun', 
+      this.validateWorkflowId(),
+      this.validateWait(),
+      this.handleRerunWorkflow.bind(this)
+    );
+    
+    this.router.post('/workflow/:workflowId/retry', 
+      this.validateRetryWorkflow(),
+      this.validateWait(),
+      this.handleRetryWorkflow.bind(this)
+    );
+    
+    this.router.post('/workflow/:workflowId/rollback', 
+      this.validateWorkflowId(),
+      this.handleRollbackWorkflow.bind(this)
+    );
+    
+    this.router.get('/workflow/:workflowId/artifacts', 
+      this.validateWorkflowId(),
+      this.handleListArtifacts.bind(this)
+    );
+    
+    this.router.get('/workflow/:workflowId/artifacts/:name', 
+      this.validateArtifact(),
+      this.handleGetArtifact.bind(this)
+    );
+    
+    this.router.get('/workflow/:workflowId/logs', 
+      this.validateWorkflowLogs(),
+      this.handleGetWorkflowLogs.bind(this)
+    );
+    
     this.router.delete('/workflow/:workflowId', 
       this.validateWorkflowId(),
       this.handleCancelWorkflow.bind(this)
     );
     
     this.router.get('/workflows', 
+      this.validateListWorkflows(),
       this.handleGetActiveWorkflows.bind(this)
     );
     
+    this.router.get('/templates', 
+      this.handleGetTemplates.bind(this)
+    );
+    
     // Metrics and monitoring endpoints
     this.router.get('/metrics', 
       this.handleGetMetrics.bind(this)
@@ -53,6 +120,7 @@ export class APIRoutes {
     // Deployment endpoints
     this.router.post('/deploy', 
       this.validateDeploy(),
+      this.validateWait(),
       this.handleDeploy.bind(this)
     );
   }
@@ -73,6 +141,15 @@ export class APIRoutes {
         .optional()
         .isIn(['low', 'medium', 'high', 'critical'])
         .withMessage('Priority must be low, medium, high, or critical'),
+      body('options.template')
+        .optional()
+        .isString()
+        .withMessage('Template must be a string'),
+      body('options.labels')
+        .optional()
+        .custom(labels => labels !== null && typeof labels === 'object' && !Array.isArray(labels) &&
+          Object.values(labels).every(value => typeof value === 'string'))
+        .withMessage('Labels must be an object of string values'),
       body('options.timeout')
         .optional()
         .isInt({ min: 1000, max: 3600000 })
@@ -80,6 +157,59 @@ export class APIRoutes {
     ];
   }
 
+  validateWait() {
+    return [
+      query('wait')
+        .optional()
+        .custom(value => {
+          const wait = parseDuration(value);
+          return wait !== null && wait <= MAX_WAIT;
+        })
+        .withMessage('Wait must be a duration such as 30s, at most 5m')
+    ];
+  }
+
+  validateListWorkflows() {
+    return [
+      query('includeFinished')
+        .optional()
+        .isBoolean()
+        .withMessage('includeFinished must be true or false'),
+      query(['createdAfter', 'createdBefore'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be ISO 8601'),
+      query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+      query('sort')
+        .optional()
+        .isIn(SORT_FIELDS)
+        .withMessage(`Sort must be one of ${SORT_FIELDS.join(', ')}`),
+      query('order')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('Order must be asc or desc'),
+      query('label')
+        .optional()
+        .custom(value => parseLabels(value))
+        .withMessage('Labels must look like name:value')
+    ];
+  }
+
+  validateExecutePlan() {
+    return [
+      param('planId')
+        .isUUID()
+        .withMessage('Invalid plan ID format'),
+      body('plan')
+        .optional()
+        .isObject()
+        .withMessage('Plan must be an object')
+    ];
+  }
+
   validateWorkflowId() {
     return [
       param('workflowId')
@@ -88,6 +218,58 @@ export class APIRoutes {
     ];
   }
 
+  validateArtifact() {
+    return [
+      ...this.validateWorkflowId(),
+      param('name')
+        .matches(/^[\w.-]+$/)
+        .withMessage('Invalid artifact name')
+    ];
+  }
+
+  validateWorkflowLogs() {
+    return [
+      ...this.validateWorkflowId(),
+      query('level')
+        .optional()
+        .isIn(LOG_LEVELS)
+        .withMessage(`Level must be one of: ${LOG_LEVELS.join(', ')}`),
+      query('follow')
+        .optional()
+        .isBoolean()
+        .withMessage('Follow must be true or false')
+    ];
+  }
+
+  validateRetryWorkflow() {
+    return [
+      ...this.validateWorkflowId(),
+      query('fromStep')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('fromStep must be a step ID')
+    ];
+  }
+
+  validateApprovalDecision() {
+    return [
+      ...this.validateWorkflowId(),
+      param('stepId')
+        .notEmpty()
+        .withMessage('Step ID is required'),
+      body('approver')
+        .isString()
+        .notEmpty()
+        .withMessage('Approver is required'),
+      body('comment')
+        .optional()
+        .isString()
+        .isLength({ max: 2000 })
+        .withMessage('Comment must be a string of at most 2000 characters')
+    ];
+  }
+
   validateRunTests() {
     return [
       body('testSuite')
@@ -148,13 +330,13 @@ export class APIRoutes {
 
       const { instruction, options = {} } = req.body;
       
-      const result = await this.orchestrationEngine.executeWorkflow(instruction, {
+      const { workflowId } = this.orchestrationEngine.submitWorkflow(instruction, {
         ...options,
         requestId: req.headers['x-request-id'] || null,
         userAgent: req.headers['user-agent'] || 'unknown'
       });
 
-      res.status(result.success ? 200 : 500).json(result);
+      await this.respondToSubmission(req, res, workflowId);
     } catch (error) {
       res.status(500).json({ 
         error: 'Internal server error', 
@@ -163,6 +345,71 @@ export class APIRoutes {
     }
   }
 
+  async handlePlanWorkflow(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const { instruction, options = {} } = req.body;
+      
+      const pendingPlan = await this.orchestrationEngine.planWorkflow(instruction, {
+        ...options,
+        requestId: req.headers['x-request-id'] || null,
+        userAgent: req.headers['user-agent'] || 'unknown'
+      });
+
+      res.status(201).json(pendingPlan);
+    } catch (error) {
+      if (error.name === 'PlanValidationError') {
+        res.status(422).json({ 
+          error: error.message, 
+          validationErrors: error.details 
+        });
+      } else {
+        res.status(500).json({ 
+          error: 'Internal server error', 
+          message: error.message 
+        });
+      }
+    }
+  }
+
+  async handleExecutePlan(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const { planId } = req.params;
+      const { workflowId } = this.orchestrationEngine.submitPlan(planId, req.body.plan);
+
+      await this.respondToSubmission(req, res, workflowId);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (error.name === 'PlanValidationError') {
+        res.status(400).json({ 
+          error: error.message, 
+          validationErrors: error.details 
+        });
+      } else {
+        res.status(500).json({ 
+          error: 'Internal server error', 
+          message: error.message 
+        });
+      }
+    }
+  }
+
   async handleGetWorkflowStatus(req, res) {
     try {
       const errors = validationResult(req);
@@ -189,6 +436,223 @@ export class APIRoutes {
     }
   }
 
+  async handleApproveStep(req, res) {
+    return this.handleApprovalDecision(req, res, 'approveStep');
+  }
+
+  async handleRejectStep(req, res) {
+    return this.handleApprovalDecision(req, res, 'rejectStep');
+  }
+
+  async handleApprovalDecision(req, res, decision) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const { workflowId, stepId } = req.params;
+      const { approver, comment } = req.body;
+      
+      const step = await this.orchestrationEngine[decision](workflowId, stepId, { approver, comment });
+      
+      res.json({ workflowId, step });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (error.message.includes('not awaiting approval')) {
+        res.status(409).json({ error: error.message });
+      } else {
+        res.status(500).json({ 
+          error: 'Internal server error', 
+          message: error.message 
+        });
+      }
+    }
+  }
+
+  async handleRerunWorkflow(req, res) {
+    return this.handleResubmission(req, res, () =>
+      this.orchestrationEngine.submitRerun(req.params.workflowId));
+  }
+
+  async handleRetryWorkflow(req, res) {
+    return this.handleResubmission(req, res, () =>
+      this.orchestrationEngine.submitRetry(req.params.workflowId, req.query.fromStep ?? null));
+  }
+
+  async handleResubmission(req, res, submit) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const { workflowId } = submit();
+
+      await this.respondToSubmission(req, res, workflowId);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (error.message.includes('is not part of')) {
+        res.status(400).json({ error: error.message });
+      } else if (RESUBMISSION_CONFLICTS.some(conflict => error.message.includes(conflict))) {
+        res.status(409).json({ error: error.message });
+      } else {
+        res.status(500).json({ 
+          error: 'Internal server error', 
+          message: error.message 
+        });
+      }
+    }
+  }
+
+  async handleRollbackWorkflow(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const workflow = await this.orchestrationEngine.rollbackWorkflow(req.params.workflowId);
+      
+      res.json({ 
+        workflowId: workflow.id, 
+        compensations: workflow.compensations 
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else if (ROLLBACK_CONFLICTS.some(conflict => error.message.includes(conflict))) {
+        res.status(409).json({ error: error.message });
+      } else {
+        res.status(500).json({ 
+          error: 'Internal server error', 
+          message: error.message 
+        });
+      }
+    }
+  }
+
+  async handleListArtifacts(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const { workflowId } = req.params;
+      const artifacts = await this.orchestrationEngine.listArtifacts(workflowId);
+      
+      res.json({
+        workflowId,
+        artifacts: artifacts.map(artifact => ({
+          ...artifact,
+          url: `${req.baseUrl}/workflow/${workflowId}/artifacts/${encodeURIComponent(artifact.name)}`
+        }))
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ 
+          error: 'Internal server error', 
+          message: error.message 
+        });
+      }
+    }
+  }
+
+  async handleGetArtifact(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const { workflowId, name } = req.params;
+      const artifact = await this.orchestrationEngine.getArtifact(workflowId, name);
+      
+      res.sendFile(path.resolve(artifact.path), {
+        headers: { 'Content-Type': artifact.contentType }
+      }, (error) => {
+        if (error && !res.headersSent) {
+          res.status(500).json({ 
+            error: 'Internal server error', 
+            message: error.message 
+          });
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ 
+          error: 'Internal server error', 
+          message: error.message 
+        });
+      }
+    }
+  }
+
+  // With ?follow=true the entries are streamed as JSON lines until the
+  // workflow finishes or the client disconnects
+  async handleGetWorkflowLogs(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const { workflowId } = req.params;
+      const { level } = req.query;
+      
+      if (req.query.follow !== 'true') {
+        const entries = await this.orchestrationEngine.getWorkflowLogs(workflowId, { level });
+        return res.json({ workflowId, entries });
+      }
+      
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      const { finished, stop } = await this.orchestrationEngine.followWorkflowLogs(workflowId, { level }, (entry) => {
+        res.write(`${JSON.stringify(entry)}\n`);
+      });
+      const disconnected = new Promise(resolve => res.on('close', resolve));
+      
+      await Promise.race([finished, disconnected]);
+      stop();
+      res.end();
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+      } else if (error.message.includes('not found')) {
+        res.status(404).json({ error: error.message });
+      } else {
+        res.status(500).json({ 
+          error: 'Internal server error', 
+          message: error.message 
+        });
+      }
+    }
+  }
+
   async handleCancelWorkflow(req, res) {
     try {
       const errors = validationResult(req);
@@ -220,25 +684,59 @@ export class APIRoutes {
 
   async handleGetActiveWorkflows(req, res) {
     try {
-      const workflows = Array.from(this.orchestrationEngine.activeWorkflows.values());
-      
-      // Apply pagination if requested
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + limit;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const { status, type, trigger, repository, priority, createdAfter, createdBefore, search, sort, order, cursor } = req.query;
+      const limit = parseInt(req.query.limit) || DEFAULT_LIMIT;
       
-      const paginatedWorkflows = workflows.slice(startIndex, endIndex);
+      const { workflows, total, nextCursor } = this.orchestrationEngine.searchWorkflows({
+        includeFinished: req.query.includeFinished === 'true',
+        status,
+        type,
+        trigger,
+        repository,
+        priority,
+        createdAfter,
+        createdBefore,
+        search,
+        labels: req.query.label ? parseLabels(req.query.label) : undefined,
+        sort,
+        order,
+        cursor,
+        limit
+      });
       
       res.json({
-        workflows: paginatedWorkflows,
+        workflows,
         pagination: {
-          page,
           limit,
-          total: workflows.length,
-          totalPages: Math.ceil(workflows.length / limit)
+          total,
+          nextCursor
         }
       });
+    } catch (error) {
+      if (error.message.includes('cursor')) {
+        res.status(400).json({ error: error.message });
+      } else {
+        res.status(500).json({ 
+          error: 'Internal server error', 
+          message: error.message 
+        });
+      }
+    }
+  }
+
+  async handleGetTemplates(req, res) {
+    try {
+      const templates = this.orchestrationEngine.templateRegistry.list();
+      
+      res.json({ templates });
     } catch (error) {
       res.status(500).json({ 
         error: 'Internal server error', 
@@ -402,14 +900,14 @@ export class APIRoutes {
         branch ? ` from ${branch} branch` : ''
       }`;
       
-      const result = await this.orchestrationEngine.executeWorkflow(deploymentInstruction, {
+      const { workflowId } = this.orchestrationEngine.submitWorkflow(deploymentInstruction, {
         ...options,
         type: 'deployment',
         environment,
         branch: branch || 'main'
       });
       
-      res.json(result);
+      await this.respondToSubmission(req, res, workflowId);
     } catch (error) {
       res.status(500).json({ 
         success: false,
@@ -419,6 +917,25 @@ export class APIRoutes {
     }
   }
 
+  // Answers 202 with a pointer to the status resource, or the final result
+  // when ?wait=<duration> is given and the workflow finishes in time
+  async respondToSubmission(req, res, workflowId) {
+    const statusUrl = `${req.baseUrl}/workflow/${workflowId}`;
+    
+    if (req.query.wait) {
+      const result = await this.orchestrationEngine.waitForWorkflow(workflowId, parseDuration(req.query.wait));
+      if (result) {
+        return res.status(result.success ? 200 : 500).json(result);
+      }
+    }
+    
+    res.status(202).location(statusUrl).json({
+      workflowId,
+      status: 'accepted',
+      statusUrl
+    });
+  }
+
   getRouter() {
     return this.router;
   }
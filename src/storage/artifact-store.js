@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const ARTIFACT_KINDS = ['screenshot', 'file', 'report', 'log'];
+
+const SAFE_NAME = /^[\w.-]+$/;
+
+// Keeps workflow artifacts on disk, one directory per workflow:
+//   <directory>/<workflowId>/files/<name>       the content
+//   <directory>/<workflowId>/meta/<name>.json   step, kind, content type, size
+// Names are never reused, so concurrent steps cannot overwrite each other.
+export class ArtifactStore {
+  constructor({ directory }) {
+    this.directory = directory;
+  }
+
+  async open() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  // Saves content under "<stepId>-<name>", adding -2, -3, ... when taken
+  async save(workflowId, { stepId, name, content, contentType = 'application/octet-stream', kind = 'file' }) {
+    if (!ARTIFACT_KINDS.includes(kind)) {
+      throw new Error(`Unknown artifact kind: ${kind}`);
+    }
+
+    const base = toSafeName(stepId ? `${stepId}-${name}` : name);
+    const extension = path.extname(base);
+    const stem = base.slice(0, base.length - extension.length);
+    await fs.mkdir(this.filesDirectory(workflowId), { recursive: true });
+    await fs.mkdir(this.metaDirectory(workflowId), { recursive: true });
+
+    for (let attempt = 1; ; attempt++) {
+      const artifactName = attempt === 1 ? base : `${stem}-${attempt}${extension}`;
+      let handle;
+      try {
+        handle = await fs.open(path.join(this.filesDirectory(workflowId), artifactName), 'wx');
+      } catch (error) {
+        if (error.code === 'EEXIST') continue;
+        throw error;
+      }
+
+      try {
+        await handle.writeFile(content);
+      } finally {
+        await handle.close();
+      }
+
+      const metadata = {
+        name: artifactName,
+        workflowId,
+        stepId: stepId || null,
+        kind,
+        contentType,
+        size: Buffer.byteLength(content),
+        createdAt: new Date().toISOString()
+      };
+      await fs.writeFile(this.metaPath(workflowId, artifactName), JSON.stringify(metadata));
+      return metadata;
+    }
+  }
+
+  async list(workflowId) {
+    let names;
+    try {
+      names = await fs.readdir(this.metaDirectory(workflowId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const artifacts = await Promise.all(names
+      .filter(name => name.endsWith('.json'))
+      .map(async name => JSON.parse(await fs.readFile(path.join(this.metaDirectory(workflowId), name), 'utf-8'))));
+    return artifacts.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.name.localeCompare(b.name));
+  }
+
+  // Returns the metadata and the file path, or null for unknown names
+  async get(workflowId, name) {
+    if (!SAFE_NAME.test(name) || !SAFE_NAME.test(workflowId)) return null;
+
+    try {
+      const metadata = JSON.parse(await fs.readFile(this.metaPath(workflowId, name), 'utf-8'));
+      return { ...metadata, path: path.join(this.filesDirectory(workflowId), name) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async read(workflowId, name) {
+    const artifact = await this.get(workflowId, name);
+    if (!artifact) {
+      throw new Error(`Artifact ${name} of workflow ${workflowId} not found`);
+    }
+    return fs.readFile(artifact.path);
+  }
+
+  async delete(workflowId) {
+    await fs.rm(this.workflowDirectory(workflowId), { recursive: true, force: true });
+  }
+
+  // Deletes the artifacts of every workflow keep() returns false for
+  async prune(keep) {
+    let workflowIds;
+    try {
+      workflowIds = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const removed = workflowIds.filter(workflowId => !keep(workflowId));
+    await Promise.all(removed.map(workflowId => this.delete(workflowId)));
+    return removed;
+  }
+
+  workflowDirectory(workflowId) {
+    if (!SAFE_NAME.test(workflowId)) {
+      throw new Error(`Invalid workflow ID: ${workflowId}`);
+    }
+    return path.join(this.directory, workflowId);
+  }
+
+  filesDirectory(workflowId) {
+    return path.join(this.workflowDirectory(workflowId), 'files');
+  }
+
+  metaDirectory(workflowId) {
+    return path.join(this.workflowDirectory(workflowId), 'meta');
+  }
+
+  metaPath(workflowId, name) {
+    return path.join(this.metaDirectory(workflowId), `${name}.json`);
+  }
+}
+
+// Keeps names to a single path segment so they cannot escape the directory
+function toSafeName(name) {
+  const safe = String(name).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '_');
+  return safe.slice(-200) || 'artifact';
+}
@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import { MemoryStorage } from './memory-storage.js';
+
+// Storage adapter backed by an append-only JSON log. Every write appends one
+// line synchronously, so a crash loses at most the line being written. The
+// log is replayed on open and compacted, on open or after a write, once it is
+// mostly superseded entries.
+export class FileStorage extends MemoryStorage {
+  constructor({ file, compactThreshold = 1000 }) {
+    super();
+    this.file = file;
+    this.compactThreshold = compactThreshold;
+    this.fd = null;
+    // Lines in the log file, live or superseded
+    this.lines = 0;
+  }
+
+  async open() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    this.lines = this.replay();
+    if (this.needsCompaction()) {
+      this.compact();
+    }
+
+    this.fd = fs.openSync(this.file, 'a');
+  }
+
+  needsCompaction() {
+    const live = Array.from(this.collections.values())
+      .reduce((total, collection) => total + collection.size, 0);
+    return this.lines > this.compactThreshold && this.lines > live * 2;
+  }
+
+  replay() {
+    let source;
+    try {
+      source = fs.readFileSync(this.file, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let lines = 0;
+    for (const line of source.split('\n')) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A partially written last line from a crash; compaction drops it
+        continue;
+      }
+
+      lines++;
+      if (entry.op === 'set') {
+        super.set(entry.collection, entry.key, entry.value);
+      } else if (entry.op === 'delete') {
+        super.delete(entry.collection, entry.key);
+      }
+    }
+    return lines;
+  }
+
+  compact() {
+    const lines = [];
+    for (const [collection, entries] of this.collections) {
+      for (const [key, value] of entries) {
+        lines.push(JSON.stringify({ op: 'set', collection, key, value }));
+      }
+    }
+
+    // Write the compacted log aside and rename it over the old one so a crash
+    // during compaction leaves the previous log intact
+    const temporary = `${this.file}.compact`;
+    fs.writeFileSync(temporary, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(temporary, this.file);
+    this.lines = lines.length;
+  }
+
+  set(collection, key, value) {
+    // Round-trip through JSON so reads see the same data after a restart
+    const serialized = JSON.stringify({ op: 'set', collection, key, value });
+    super.set(collection, key, JSON.parse(serialized).value);
+    this.append(serialized);
+  }
+
+  delete(collection, key) {
+    super.delete(collection, key);
+    this.append(JSON.stringify({ op: 'delete', collection, key }));
+  }
+
+  append(line) {
+    if (this.fd === null) {
+      throw new Error(`Storage ${this.file} is not open`);
+    }
+    fs.writeSync(this.fd, `${line}\n`);
+    this.lines++;
+
+    // The open descriptor still points at the replaced file after compacting
+    if (this.needsCompaction()) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+      this.compact();
+      this.fd = fs.openSync(this.file, 'a');
+    }
+  }
+
+  async close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
@@ -0,0 +1,21 @@
+import { MemoryStorage } from './memory-storage.js';
+import { FileStorage } from './file-storage.js';
+import { ArtifactStore } from './artifact-store.js';
+
+export { MemoryStorage, FileStorage, ArtifactStore };
+
+export function createStorage({ type = 'memory', file } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStorage();
+
+    case 'file':
+      if (!file) {
+        throw new Error('File storage requires a file path');
+      }
+      return new FileStorage({ file });
+
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
@@ -0,0 +1,38 @@
+// Storage adapter keeping everything in process memory. State is lost on
+// restart; used by default and in tests.
+export class MemoryStorage {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  async open() {}
+
+  entries(collection) {
+    return Array.from(this.getCollection(collection).entries());
+  }
+
+  size(collection) {
+    return this.getCollection(collection).size;
+  }
+
+  get(collection, key) {
+    return this.getCollection(collection).get(key);
+  }
+
+  set(collection, key, value) {
+    this.getCollection(collection).set(key, value);
+  }
+
+  delete(collection, key) {
+    this.getCollection(collection).delete(key);
+  }
+
+  async close() {}
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+}
@@ -0,0 +1,227 @@
+// A small expression language for step conditions such as
+//   test_results.data.failed == 0 && environment == 'production'
+// Expressions are tokenized and parsed into a tree that is walked against a
+// plain scope object; nothing is ever passed to eval or Function. Supported:
+// literals (numbers, quoted strings, true, false, null), property paths
+// (a.b[0], steps['run-tests']), comparisons (== != < <= > >=), logical
+// operators (&&, ||, !, and, or, not) and parentheses.
+
+const COMPARISONS = ['==', '!=', '<=', '>=', '<', '>'];
+const KEYWORDS = { true: true, false: false, null: null };
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+export function parseCondition(expression) {
+  const parser = new Parser(tokenize(String(expression)));
+  const tree = parser.parseOr();
+  if (!parser.atEnd()) {
+    throw new Error(`Unexpected "${parser.peek().value}" in condition`);
+  }
+  return tree;
+}
+
+// Returns the raw value of the expression, e.g. the array at steps.generate.data.files
+export function evaluateExpression(expression, scope = {}) {
+  return evaluate(parseCondition(expression), scope);
+}
+
+export function evaluateCondition(expression, scope = {}) {
+  return Boolean(evaluateExpression(expression, scope));
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw new Error('Unterminated string in condition');
+      i++;
+      tokens.push({ type: 'literal', value });
+    } else if (/\d/.test(char) || (char === '-' && /\d/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^-?\d+(\.\d+)?/);
+      tokens.push({ type: 'literal', value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const [word] = source.slice(i).match(/^[A-Za-z_$][\w$-]*/);
+      i += word.length;
+      if (Object.hasOwn(KEYWORDS, word)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[word] });
+      } else if (Object.hasOwn(WORD_OPERATORS, word)) {
+        tokens.push({ type: 'operator', value: WORD_OPERATORS[word] });
+      } else {
+        tokens.push({ type: 'identifier', value: word });
+      }
+    } else {
+      const operator = ['&&', '||', ...COMPARISONS, '!', '(', ')', '[', ']', '.']
+        .find(candidate => source.startsWith(candidate, i));
+      if (!operator) throw new Error(`Unexpected character "${char}" in condition`);
+      tokens.push({ type: 'operator', value: operator });
+      i += operator.length;
+    }
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  atEnd() {
+    return this.position >= this.tokens.length;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    if (this.atEnd()) throw new Error('Condition ended unexpectedly');
+    return this.tokens[this.position++];
+  }
+
+  accept(operator) {
+    const token = this.peek();
+    if (token?.type === 'operator' && token.value === operator) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(operator) {
+    if (!this.accept(operator)) {
+      throw new Error(`Expected "${operator}" in condition`);
+    }
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.accept('||')) {
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept('&&')) {
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.accept('!')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parsePrimary();
+    const token = this.peek();
+    if (token?.type === 'operator' && COMPARISONS.includes(token.value)) {
+      this.position++;
+      return { type: 'compare', operator: token.value, left, right: this.parsePrimary() };
+    }
+    return left;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'identifier') {
+      return this.parsePath(token.value);
+    }
+    if (token.value === '(') {
+      const expression = this.parseOr();
+      this.expect(')');
+      return expression;
+    }
+    throw new Error(`Unexpected "${token.value}" in condition`);
+  }
+
+  parsePath(root) {
+    const path = [root];
+    for (;;) {
+      if (this.accept('.')) {
+        const token = this.next();
+        if (token.type !== 'identifier') {
+          throw new Error(`Expected a property name after "." in condition`);
+        }
+        path.push(token.value);
+      } else if (this.accept('[')) {
+        const token = this.next();
+        if (token.type !== 'literal' || !['string', 'number'].includes(typeof token.value)) {
+          throw new Error('Expected a string or number inside [] in condition');
+        }
+        path.push(token.value);
+        this.expect(']');
+      } else {
+        return { type: 'path', path };
+      }
+    }
+  }
+}
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return resolvePath(scope, node.path);
+    case 'not':
+      return !evaluate(node.operand, scope);
+    case 'and':
+      return evaluate(node.left, scope) && evaluate(node.right, scope);
+    case 'or':
+      return evaluate(node.left, scope) || evaluate(node.right, scope);
+    case 'compare':
+      return compare(node.operator, evaluate(node.left, scope), evaluate(node.right, scope));
+    default:
+      throw new Error(`Unknown condition node ${node.type}`);
+  }
+}
+
+// Only own properties are visible, so conditions cannot reach prototypes
+function resolvePath(scope, path) {
+  let value = scope;
+  for (const segment of path) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+// Missing values compare equal to null, since results are plain JSON, and
+// are neither less nor greater than anything
+function compare(operator, left = null, right = null) {
+  if (operator === '==') return left === right;
+  if (operator === '!=') return left !== right;
+  if (left === null || right === null) return false;
+
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+  }
+}
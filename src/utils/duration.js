@@ -0,0 +1,15 @@
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000
+};
+
+// Parses durations such as "500ms", "30s" or "5m" into milliseconds. A bare
+// number is read as seconds. Returns null for anything else.
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h)?$/);
+  if (!match) return null;
+
+  return Math.round(parseFloat(match[1]) * UNITS[match[2] || 's']);
+}
@@ -0,0 +1,24 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import winston from 'winston';
+
+// The workflow and step the current code runs for. It follows async calls,
+// so everything logged while a step runs, including by integrations, carries
+// the step's workflowId and stepId.
+const storage = new AsyncLocalStorage();
+
+// Nested contexts add to the outer one, e.g. { stepId } inside { workflowId }
+export function runWithLogContext(context, fn) {
+  return storage.run({ ...storage.getStore(), ...context }, fn);
+}
+
+export function getLogContext() {
+  return storage.getStore() || {};
+}
+
+// Adds the context to every entry; explicitly logged fields win
+export const logContextFormat = winston.format(info => {
+  for (const [key, value] of Object.entries(getLogContext())) {
+    if (info[key] === undefined) info[key] = value;
+  }
+  return info;
+});
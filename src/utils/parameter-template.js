@@ -0,0 +1,68 @@
+import { evaluateExpression, parseCondition } from './condition-evaluator.js';
+
+// Step parameters may reference earlier results with {{ expression }}, using
+// the same expressions as step conditions. A value that is a single template
+// keeps the referenced value as is (so files can stay an array); templates
+// embedded in longer strings are interpolated as text.
+const TEMPLATE_PATTERN = /\{\{\s*(.+?)\s*\}\}/g;
+const WHOLE_TEMPLATE_PATTERN = /^\{\{\s*(.+?)\s*\}\}$/;
+
+export function isTemplate(value) {
+  return typeof value === 'string' && WHOLE_TEMPLATE_PATTERN.test(value);
+}
+
+// Lists every template in a parameters object as { path, expression }
+export function findTemplates(value, path = '') {
+  if (typeof value === 'string') {
+    return [...value.matchAll(TEMPLATE_PATTERN)].map(match => ({ path, expression: match[1] }));
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => findTemplates(item, `${path}[${index}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => findTemplates(item, path ? `${path}.${key}` : key));
+  }
+  return [];
+}
+
+export function validateTemplates(value) {
+  const errors = [];
+  for (const { path, expression } of findTemplates(value)) {
+    try {
+      parseCondition(expression);
+    } catch (error) {
+      errors.push({ path, message: `Invalid template {{ ${expression} }}: ${error.message}` });
+    }
+  }
+  return errors;
+}
+
+export function resolveTemplates(value, scope) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_TEMPLATE_PATTERN);
+    if (whole) {
+      return resolveExpression(whole[1], scope);
+    }
+    return value.replace(TEMPLATE_PATTERN, (_, expression) => {
+      const resolved = resolveExpression(expression, scope);
+      return typeof resolved === 'object' && resolved !== null ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplates(item, scope));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, scope)]));
+  }
+  return value;
+}
+
+function resolveExpression(expression, scope) {
+  const value = evaluateExpression(expression, scope);
+  if (value === undefined) {
+    const error = new Error(`Template {{ ${expression} }} did not resolve to a value`);
+    error.retryable = false;
+    throw error;
+  }
+  return value;
+}
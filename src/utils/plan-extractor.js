@@ -0,0 +1,210 @@
+// Pulls a JSON plan out of free-form model output. Models wrap plans in
+// ```json fences, add prose around them, copy the // comments from our
+// prompt template and sometimes stop mid-object when they hit max_tokens.
+
+export function extractJsonPlan(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('AI response is empty');
+  }
+
+  const repairs = [];
+  let source = text;
+
+  const fenced = source.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)(?:```|$)/);
+  if (fenced && fenced[1].includes('{')) {
+    source = fenced[1];
+    repairs.push('removed_code_fence');
+  }
+
+  if (!source.includes('{')) {
+    throw new Error('AI response does not contain a JSON object');
+  }
+
+  // Prose before the plan can hold braces of its own, so each { is tried in
+  // turn and the first error is reported when none of them parses
+  let firstError;
+  for (let start = source.indexOf('{'); start !== -1; start = source.indexOf('{', start + 1)) {
+    try {
+      return parseObjectAt(source, start, [...repairs]);
+    } catch (error) {
+      firstError ??= error;
+    }
+  }
+  throw firstError;
+}
+
+function parseObjectAt(source, start, repairs) {
+  const { output: uncommented, changed: hadComments } = stripComments(source.slice(start));
+  if (hadComments) repairs.push('removed_comments');
+
+  const end = findObjectEnd(uncommented);
+  const truncated = end === -1;
+  let json = truncated ? uncommented : uncommented.slice(0, end + 1);
+
+  if (source.slice(0, start).trim() !== '' || (!truncated && uncommented.slice(end + 1).trim() !== '')) {
+    repairs.push('removed_surrounding_text');
+  }
+
+  const { output: withoutCommas, changed: hadTrailingCommas } = stripTrailingCommas(json);
+  if (hadTrailingCommas) repairs.push('removed_trailing_commas');
+  json = withoutCommas;
+
+  if (truncated) {
+    json = closeTruncatedJson(json);
+    repairs.push('closed_truncated_json');
+  }
+
+  let plan;
+  try {
+    plan = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`AI response contains malformed JSON: ${error.message}`);
+  }
+
+  return { plan, repairs };
+}
+
+// Walks the text outside of string literals, calling visit(index, char) for
+// each character. visit returns how many characters to skip, or false to stop.
+function walk(text, visit) {
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      continue;
+    }
+
+    const skip = visit(i, char);
+    if (skip === false) break;
+    if (skip) i += skip;
+  }
+
+  return { inString };
+}
+
+function stripComments(text) {
+  let output = '';
+  let last = 0;
+  let changed = false;
+
+  walk(text, (i, char) => {
+    if (char !== '/' || (text[i + 1] !== '/' && text[i + 1] !== '*')) return 0;
+
+    const close = text[i + 1] === '/' ? text.indexOf('\n', i) : text.indexOf('*/', i + 2);
+    const commentEnd = close === -1 ? text.length : (text[i + 1] === '/' ? close : close + 2);
+
+    output += text.slice(last, i);
+    last = commentEnd;
+    changed = true;
+    return commentEnd - i - 1;
+  });
+
+  return { output: output + text.slice(last), changed };
+}
+
+function stripTrailingCommas(text) {
+  let output = '';
+  let last = 0;
+  let changed = false;
+
+  const closing = /\s*[}\]]/y;
+
+  walk(text, (i, char) => {
+    if (char !== ',') return 0;
+    closing.lastIndex = i + 1;
+    if (!closing.test(text)) return 0;
+
+    output += text.slice(last, i);
+    last = i + 1;
+    changed = true;
+    return 0;
+  });
+
+  return { output: output + text.slice(last), changed };
+}
+
+function findObjectEnd(text) {
+  let depth = 0;
+  let end = -1;
+
+  walk(text, (i, char) => {
+    if (char === '{' || char === '[') depth++;
+    if (char === '}' || char === ']') depth--;
+    if (depth === 0) {
+      end = i;
+      return false;
+    }
+    return 0;
+  });
+
+  return end;
+}
+
+function scanOpenStructure(text) {
+  const stack = [];
+  let lastBoundary = -1;
+
+  const { inString } = walk(text, (i, char) => {
+    if (char === '{' || char === '[') {
+      stack.push(char);
+      lastBoundary = i;
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    } else if (char === ',') {
+      lastBoundary = i;
+    }
+    return 0;
+  });
+
+  return { stack, inString, lastBoundary };
+}
+
+// Closes whatever the model left open. If the tail is an incomplete member
+// (a dangling key, half a literal, a string cut off mid-way) it is dropped
+// back to the last comma or opening bracket until the result parses. Cut-off
+// strings are never closed: "ma" is not the branch the model meant.
+function closeTruncatedJson(text) {
+  let candidate = text;
+
+  while (candidate.length > 0) {
+    const { stack, inString, lastBoundary } = scanOpenStructure(candidate);
+    const attempt = candidate.trimEnd().replace(/[,:]$/, '');
+
+    const closers = stack.reverse().map(open => (open === '{' ? '}' : ']')).join('');
+    if (!inString && parses(attempt + closers)) {
+      return attempt + closers;
+    }
+    if (lastBoundary === -1) break;
+
+    // Keep an opening bracket the first time we cut back to it; drop it
+    // if the container is still unparseable on its own
+    const keepOpener = candidate[lastBoundary] !== ',' && candidate.trimEnd().length - 1 > lastBoundary;
+    candidate = candidate.slice(0, keepOpener ? lastBoundary + 1 : lastBoundary);
+  }
+
+  return candidate;
+}
+
+function parses(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
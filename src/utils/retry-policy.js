@@ -0,0 +1,73 @@
+export const DEFAULT_RETRY_POLICY = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  multiplier: 2,
+  jitter: 0.2 // fraction of the delay that is randomized
+};
+
+const RETRYABLE_CODES = [
+  'STEP_TIMEOUT',
+  'MCP_DISCONNECTED',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE'
+];
+
+// Validation failures and programming errors fail the same way every time
+const FATAL_NAMES = ['PlanValidationError', 'ValidationError', 'TypeError', 'ReferenceError', 'SyntaxError'];
+
+// Creates an integration error with a readable message while keeping the
+// details retry classification needs (HTTP status, error code, Retry-After)
+export function wrapError(message, error) {
+  const wrapped = new Error(message);
+  const status = error.status || error.response?.status;
+  const retryAfter = error.response?.headers?.['retry-after'];
+
+  if (status) wrapped.status = status;
+  if (error.code) wrapped.code = error.code;
+  if (error.retryable !== undefined) wrapped.retryable = error.retryable;
+  if (retryAfter && !Number.isNaN(Number(retryAfter))) {
+    wrapped.retryAfter = Number(retryAfter) * 1000;
+  }
+  wrapped.cause = error;
+  return wrapped;
+}
+
+// The request never reached the service, so nothing can have happened
+const UNSENT_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+// Timeouts, 5xx, rate limits and dropped connections are worth another
+// attempt; validation, programming and other 4xx errors are fatal.
+// Errors we know nothing about are retried. A step that is not resumable may
+// already have committed or deployed when its call failed, so it is only
+// retried when the call is known to have had no effect.
+export function isRetryableError(error, { resumable = true } = {}) {
+  if (typeof error.retryable === 'boolean') return error.retryable;
+
+  const status = error.status || error.response?.status;
+  if (isRateLimited(error, status)) return true;
+  if (!resumable) return UNSENT_CODES.includes(error.code);
+
+  if (RETRYABLE_CODES.includes(error.code)) return true;
+  if (FATAL_NAMES.includes(error.name)) return false;
+  if (status) return status >= 500;
+
+  return true;
+}
+
+// GitHub answers secondary rate limits with 403
+function isRateLimited(error, status) {
+  return status === 429 || (status === 403 && /rate limit/i.test(error.message));
+}
+
+// Exponential backoff for the given 1-based attempt, randomized by the jitter
+// fraction and never shorter than a Retry-After the service asked for
+export function computeBackoff(attempt, policy = DEFAULT_RETRY_POLICY, error = null) {
+  const { initialDelay, maxDelay, multiplier, jitter } = { ...DEFAULT_RETRY_POLICY, ...policy };
+  const base = Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt - 1));
+  const delay = base * (1 - jitter * Math.random());
+
+  return Math.round(Math.max(delay, error?.retryAfter || 0));
+}
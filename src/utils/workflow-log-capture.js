@@ -0,0 +1,83 @@
+import winston from 'winston';
+
+const LEVELS = winston.config.npm.levels;
+// Formats such as colorize rewrite info.level; this keeps the plain name
+const LEVEL = Symbol.for('level');
+
+export const LOG_LEVELS = Object.keys(LEVELS);
+
+// Entries at the given level or more severe; no level keeps everything
+export function filterLogLevel(entries, level) {
+  if (!level) return entries;
+  return entries.filter(entry => LEVELS[entry.level] <= LEVELS[level]);
+}
+
+// Winston transport that keeps the entries logged for each workflow, up to
+// maxEntries per workflow (oldest dropped first), and tells subscribers about
+// new ones. The logger needs logContextFormat() so entries carry their
+// workflowId; entries without one are ignored.
+export class WorkflowLogCapture extends winston.Transport {
+  constructor({ maxEntries = 5000, ...options } = {}) {
+    super(options);
+    this.maxEntries = maxEntries;
+    this.logs = new Map();
+    this.subscribers = new Map();
+  }
+
+  log(info, callback) {
+    const { workflowId } = info;
+    if (workflowId) {
+      this.append(workflowId, {
+        timestamp: info.timestamp || new Date().toISOString(),
+        level: info[LEVEL] || info.level,
+        message: info.message,
+        workflowId,
+        stepId: info.stepId || null
+      });
+    }
+    callback();
+  }
+
+  append(workflowId, entry) {
+    const entries = this.logs.get(workflowId) || [];
+    entries.push(entry);
+    if (entries.length > this.maxEntries) {
+      entries.splice(0, entries.length - this.maxEntries);
+    }
+    this.logs.set(workflowId, entries);
+
+    for (const { level, listener } of this.subscribers.get(workflowId) || []) {
+      if (filterLogLevel([entry], level).length > 0) listener(entry);
+    }
+  }
+
+  has(workflowId) {
+    return this.logs.has(workflowId);
+  }
+
+  query(workflowId, { level } = {}) {
+    return filterLogLevel(this.logs.get(workflowId) || [], level);
+  }
+
+  // Returns the function that unsubscribes
+  subscribe(workflowId, { level } = {}, listener) {
+    const subscriber = { level, listener };
+    const subscribers = this.subscribers.get(workflowId) || new Set();
+    subscribers.add(subscriber);
+    this.subscribers.set(workflowId, subscribers);
+
+    return () => {
+      subscribers.delete(subscriber);
+      if (subscribers.size === 0 && this.subscribers.get(workflowId) === subscribers) {
+        this.subscribers.delete(workflowId);
+      }
+    };
+  }
+
+  // Drops the entries of every workflow keep() returns false for
+  prune(keep) {
+    for (const workflowId of this.logs.keys()) {
+      if (!keep(workflowId)) this.logs.delete(workflowId);
+    }
+  }
+}
@@ -0,0 +1,301 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { APIRoutes } from '../../src/routes/api-routes.js';
+
+const workflowId = '3f1c2a8e-5b7d-4c1e-9a2f-6d8b0e4c7a19';
+const retryId = '9b2e4d6f-1a3c-4e5b-8d7f-0c2a4e6b8d1f';
+const planId = '5d7f9b1c-3e5a-4c7e-9f1b-2d4f6a8c0e3b';
+
+const pendingStep = { id: 'deploy', status: 'awaiting_approval', approval: { status: 'pending' } };
+
+describe('APIRoutes', () => {
+  let engine;
+  let app;
+
+  beforeEach(() => {
+    engine = {
+      submitWorkflow: jest.fn().mockReturnValue({ workflowId, status: 'pending' }),
+      submitPlan: jest.fn().mockReturnValue({ workflowId, status: 'pending' }),
+      submitRerun: jest.fn().mockReturnValue({ workflowId: retryId, status: 'pending' }),
+      submitRetry: jest.fn().mockReturnValue({ workflowId: retryId, status: 'pending' }),
+      waitForWorkflow: jest.fn().mockResolvedValue(null),
+      planWorkflow: jest.fn(),
+      approveStep: jest.fn(),
+      rejectStep: jest.fn(),
+      rollbackWorkflow: jest.fn(),
+      listArtifacts: jest.fn().mockResolvedValue([]),
+      getArtifact: jest.fn(),
+      getWorkflowLogs: jest.fn().mockResolvedValue([]),
+      followWorkflowLogs: jest.fn()
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', new APIRoutes(engine).getRouter());
+  });
+
+  describe('workflow submission', () => {
+    test('should accept the workflow and point to its status', async () => {
+      const response = await request(app)
+        .post('/api/workflow/execute')
+        .send({ instruction: 'Create a simple API endpoint' });
+
+      expect(response.status).toBe(202);
+      expect(response.headers.location).toBe(`/api/workflow/${workflowId}`);
+      expect(response.body).toEqual({ workflowId, status: 'accepted', statusUrl: `/api/workflow/${workflowId}` });
+      expect(engine.waitForWorkflow).not.toHaveBeenCalled();
+    });
+
+    test('should answer with the result when the workflow finishes within the wait', async () => {
+      engine.waitForWorkflow.mockResolvedValueOnce({ success: true, workflowId });
+
+      const response = await request(app)
+        .post('/api/workflow/execute?wait=30s')
+        .send({ instruction: 'Create a simple API endpoint' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, workflowId });
+      expect(engine.waitForWorkflow).toHaveBeenCalledWith(workflowId, 30000);
+    });
+
+    test('should answer 500 when the workflow fails within the wait', async () => {
+      engine.waitForWorkflow.mockResolvedValueOnce({ success: false, workflowId, error: 'Deploy failed' });
+
+      const response = await request(app)
+        .post('/api/workflow/execute?wait=30s')
+        .send({ instruction: 'Create a simple API endpoint' });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Deploy failed');
+    });
+
+    test('should fall back to 202 when the workflow outlasts the wait', async () => {
+      const response = await request(app)
+        .post('/api/workflow/execute?wait=1s')
+        .send({ instruction: 'Create a simple API endpoint' });
+
+      expect(response.status).toBe(202);
+      expect(response.headers.location).toBe(`/api/workflow/${workflowId}`);
+    });
+
+    test('should reject waits longer than five minutes', async () => {
+      const response = await request(app)
+        .post('/api/workflow/execute?wait=10m')
+        .send({ instruction: 'Create a simple API endpoint' });
+
+      expect(response.status).toBe(400);
+      expect(engine.submitWorkflow).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('plan preview', () => {
+    test('should return the plan for review', async () => {
+      engine.planWorkflow.mockResolvedValueOnce({ planId, plan: { steps: [] } });
+
+      const response = await request(app)
+        .post('/api/workflow/plan')
+        .send({ instruction: 'Create a simple API endpoint' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.planId).toBe(planId);
+    });
+
+    test('should answer 422 when the plan does not validate', async () => {
+      engine.planWorkflow.mockRejectedValueOnce(Object.assign(new Error('Workflow plan is invalid'), {
+        name: 'PlanValidationError',
+        details: [{ path: 'steps[0].type', message: 'Unknown step type' }]
+      }));
+
+      const response = await request(app)
+        .post('/api/workflow/plan')
+        .send({ instruction: 'Create a simple API endpoint' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.validationErrors).toEqual([{ path: 'steps[0].type', message: 'Unknown step type' }]);
+    });
+
+    test('should execute a reviewed plan', async () => {
+      const response = await request(app).post(`/api/workflow/plan/${planId}/execute`).send({});
+
+      expect(response.status).toBe(202);
+      expect(engine.submitPlan).toHaveBeenCalledWith(planId, undefined);
+    });
+
+    test('should answer 404 for unknown plans', async () => {
+      engine.submitPlan.mockImplementationOnce(() => {
+        throw new Error(`Plan ${planId} not found`);
+      });
+
+      const response = await request(app).post(`/api/workflow/plan/${planId}/execute`).send({});
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('approvals', () => {
+    test('should approve a step awaiting approval', async () => {
+      engine.approveStep.mockResolvedValueOnce({ ...pendingStep, approval: { status: 'approved', approver: 'octocat' } });
+
+      const response = await request(app)
+        .post(`/api/workflow/${workflowId}/steps/deploy/approve`)
+        .send({ approver: 'octocat', comment: 'Ship it' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.step.approval.status).toBe('approved');
+      expect(engine.approveStep).toHaveBeenCalledWith(workflowId, 'deploy', { approver: 'octocat', comment: 'Ship it' });
+    });
+
+    test('should answer 409 for steps that are not awaiting approval', async () => {
+      engine.rejectStep.mockRejectedValueOnce(
+        new Error(`Step deploy of workflow ${workflowId} is not awaiting approval`));
+
+      const response = await request(app)
+        .post(`/api/workflow/${workflowId}/steps/deploy/reject`)
+        .send({ approver: 'octocat' });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should require an approver', async () => {
+      const response = await request(app).post(`/api/workflow/${workflowId}/steps/deploy/approve`).send({});
+
+      expect(response.status).toBe(400);
+      expect(engine.approveStep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rerun, retry and rollback', () => {
+    test('should rerun a finished workflow as a new one', async () => {
+      const response = await request(app).post(`/api/workflow/${workflowId}/rerun`);
+
+      expect(response.status).toBe(202);
+      expect(response.headers.location).toBe(`/api/workflow/${retryId}`);
+    });
+
+    test('should retry from the given step', async () => {
+      const response = await request(app).post(`/api/workflow/${workflowId}/retry?fromStep=deploy`);
+
+      expect(response.status).toBe(202);
+      expect(engine.submitRetry).toHaveBeenCalledWith(workflowId, 'deploy');
+    });
+
+    test('should map retry errors to 400 and 409', async () => {
+      engine.submitRetry
+        .mockImplementationOnce(() => {
+          throw new Error(`Step release is not part of workflow ${workflowId}`);
+        })
+        .mockImplementationOnce(() => {
+          throw new Error(`Workflow ${workflowId} has not finished yet`);
+        });
+
+      expect((await request(app).post(`/api/workflow/${workflowId}/retry?fromStep=release`)).status).toBe(400);
+      expect((await request(app).post(`/api/workflow/${workflowId}/retry`)).status).toBe(409);
+    });
+
+    test('should run the pending compensations', async () => {
+      const compensations = [{ stepId: 'commit', type: 'commit_changes', status: 'completed' }];
+      engine.rollbackWorkflow.mockResolvedValueOnce({ id: workflowId, compensations });
+
+      const response = await request(app).post(`/api/workflow/${workflowId}/rollback`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ workflowId, compensations });
+    });
+
+    test('should answer 409 when there is nothing to roll back', async () => {
+      engine.rollbackWorkflow.mockRejectedValueOnce(new Error(`Workflow ${workflowId} has nothing to roll back`));
+
+      const response = await request(app).post(`/api/workflow/${workflowId}/rollback`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('artifacts', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-routes-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should list artifacts with their download URLs', async () => {
+      engine.listArtifacts.mockResolvedValueOnce([{ name: 'tests-report.json', kind: 'report' }]);
+
+      const response = await request(app).get(`/api/workflow/${workflowId}/artifacts`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.artifacts).toEqual([{
+        name: 'tests-report.json',
+        kind: 'report',
+        url: `/api/workflow/${workflowId}/artifacts/tests-report.json`
+      }]);
+    });
+
+    test('should send the artifact content', async () => {
+      const file = path.join(directory, 'tests-report.json');
+      fs.writeFileSync(file, '{"passed":3}');
+      engine.getArtifact.mockResolvedValueOnce({ name: 'tests-report.json', contentType: 'application/json', path: file });
+
+      const response = await request(app).get(`/api/workflow/${workflowId}/artifacts/tests-report.json`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/json');
+      expect(response.body).toEqual({ passed: 3 });
+    });
+
+    test('should answer 404 for unknown artifacts', async () => {
+      engine.getArtifact.mockRejectedValueOnce(new Error(`Artifact missing.png of workflow ${workflowId} not found`));
+
+      const response = await request(app).get(`/api/workflow/${workflowId}/artifacts/missing.png`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('logs', () => {
+    const entries = [
+      { level: 'info', message: 'Executing step analyze', workflowId, stepId: 'analyze' },
+      { level: 'error', message: 'Step deploy failed', workflowId, stepId: 'deploy' }
+    ];
+
+    test('should return the entries at the requested level', async () => {
+      engine.getWorkflowLogs.mockResolvedValueOnce(entries.slice(1));
+
+      const response = await request(app).get(`/api/workflow/${workflowId}/logs?level=error`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ workflowId, entries: entries.slice(1) });
+      expect(engine.getWorkflowLogs).toHaveBeenCalledWith(workflowId, { level: 'error' });
+    });
+
+    test('should stream entries as JSON lines when following', async () => {
+      const stop = jest.fn();
+      engine.followWorkflowLogs.mockImplementationOnce(async (id, options, onEntry) => {
+        entries.forEach(onEntry);
+        return { finished: Promise.resolve(), stop };
+      });
+
+      const response = await request(app).get(`/api/workflow/${workflowId}/logs?follow=true`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/x-ndjson');
+      expect(response.text.trim().split('\n').map(line => JSON.parse(line))).toEqual(entries);
+      expect(stop).toHaveBeenCalled();
+    });
+
+    test('should reject unknown levels', async () => {
+      const response = await request(app).get(`/api/workflow/${workflowId}/logs?level=loud`);
+
+      expect(response.status).toBe(400);
+      expect(engine.getWorkflowLogs).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ArtifactStore } from '../../src/storage/artifact-store.js';
+
+describe('ArtifactStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'autodevops-artifacts-'));
+    store = new ArtifactStore({ directory });
+    await store.open();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should save, list and read artifacts per workflow', async () => {
+    const saved = await store.save('wf-1', {
+      stepId: 'e2e',
+      name: 'login failure.png',
+      content: Buffer.from('png'),
+      contentType: 'image/png',
+      kind: 'screenshot'
+    });
+
+    expect(saved).toMatchObject({ name: 'e2e-login_failure.png', stepId: 'e2e', kind: 'screenshot', size: 3 });
+    expect(await store.list('wf-1')).toEqual([saved]);
+    expect(await store.list('wf-2')).toEqual([]);
+    expect((await store.read('wf-1', saved.name)).toString()).toBe('png');
+    expect(await store.get('wf-1', '../wf-2')).toBeNull();
+  });
+
+  test('should never reuse a name', async () => {
+    const first = await store.save('wf-1', { stepId: 'generate', name: 'src/app.js', content: 'one' });
+    const second = await store.save('wf-1', { stepId: 'generate', name: 'src/app.js', content: 'two' });
+
+    expect([first.name, second.name]).toEqual(['generate-src_app.js', 'generate-src_app-2.js']);
+    expect((await store.read('wf-1', first.name)).toString()).toBe('one');
+  });
+
+  test('should prune the artifacts of workflows that are gone', async () => {
+    await store.save('wf-1', { name: 'a.log', content: 'kept', kind: 'log' });
+    await store.save('wf-2', { name: 'b.log', content: 'pruned', kind: 'log' });
+
+    expect(await store.prune(workflowId => workflowId === 'wf-1')).toEqual(['wf-2']);
+    expect(await store.list('wf-1')).toHaveLength(1);
+    expect(await store.list('wf-2')).toEqual([]);
+  });
+});
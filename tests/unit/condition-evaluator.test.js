@@ -0,0 +1,35 @@
+import { evaluateCondition, parseCondition } from '../../src/utils/condition-evaluator.js';
+
+const scope = {
+  environment: 'production',
+  test_results: { data: { passed: 12, failed: 0 } },
+  steps: { 'run-tests': { data: { coverage: 81.5 } } }
+};
+
+describe('evaluateCondition', () => {
+  test('should compare paths against literals', () => {
+    expect(evaluateCondition('test_results.data.failed == 0', scope)).toBe(true);
+    expect(evaluateCondition("environment != 'production'", scope)).toBe(false);
+    expect(evaluateCondition("steps['run-tests'].data.coverage >= 80", scope)).toBe(true);
+  });
+
+  test('should combine conditions with logical operators and parentheses', () => {
+    expect(evaluateCondition("environment == 'staging' || test_results.data.passed > 10", scope)).toBe(true);
+    expect(evaluateCondition('not (test_results.data.failed == 0 and environment == "production")', scope))
+      .toBe(false);
+    expect(evaluateCondition('!missing.value && true', scope)).toBe(true);
+  });
+
+  test('should not reach beyond own properties', () => {
+    expect(evaluateCondition('environment.length > 0', scope)).toBe(false);
+    expect(evaluateCondition('constructor != null', scope)).toBe(false);
+    expect(evaluateCondition('missing.count < 1', scope)).toBe(false);
+  });
+
+  test('should reject malformed expressions', () => {
+    expect(() => parseCondition('environment == ')).toThrow('ended unexpectedly');
+    expect(() => parseCondition("environment == 'production")).toThrow('Unterminated string');
+    expect(() => parseCondition('process.exit(1)')).toThrow('Unexpected "("');
+    expect(() => parseCondition('a = 1')).toThrow('Unexpected character "="');
+  });
+});
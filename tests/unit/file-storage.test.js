@@ -0,0 +1,107 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileStorage } from '../../src/storage/file-storage.js';
+import { StateManager } from '../../src/core/state-manager.js';
+
+describe('FileStorage', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'autodevops-storage-'));
+    file = path.join(directory, 'state.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const openStorage = async (options = {}) => {
+    const storage = new FileStorage({ file, ...options });
+    await storage.open();
+    return storage;
+  };
+
+  test('should replay writes and deletes after reopening', async () => {
+    const storage = await openStorage();
+    storage.set('workflows', 'a', { status: 'running' });
+    storage.set('workflows', 'a', { status: 'completed' });
+    storage.set('workflows', 'b', { status: 'failed' });
+    storage.delete('workflows', 'b');
+    await storage.close();
+
+    const reopened = await openStorage();
+    expect(reopened.entries('workflows')).toEqual([['a', { status: 'completed' }]]);
+    await reopened.close();
+  });
+
+  test('should skip a partially written last line', async () => {
+    const storage = await openStorage();
+    storage.set('workflows', 'a', { status: 'completed' });
+    await storage.close();
+    fs.appendFileSync(file, '{"op":"set","collection":"workflows","key":"b","val');
+
+    const reopened = await openStorage();
+    expect(reopened.get('workflows', 'a')).toEqual({ status: 'completed' });
+    expect(reopened.get('workflows', 'b')).toBeUndefined();
+    await reopened.close();
+  });
+
+  test('should compact a log of mostly superseded entries', async () => {
+    const storage = await openStorage({ compactThreshold: 100 });
+    for (let i = 0; i < 10; i++) {
+      storage.set('workflows', 'a', { revision: i });
+    }
+    await storage.close();
+
+    const reopened = await openStorage({ compactThreshold: 5 });
+    expect(fs.readFileSync(file, 'utf-8').trim().split('\n')).toHaveLength(1);
+    expect(reopened.get('workflows', 'a')).toEqual({ revision: 9 });
+    await reopened.close();
+  });
+
+  test('should compact while open once the log is mostly superseded entries', async () => {
+    const storage = await openStorage({ compactThreshold: 5 });
+    storage.set('workflows', 'b', { status: 'completed' });
+    for (let i = 0; i < 6; i++) {
+      storage.set('workflows', 'a', { revision: i });
+    }
+
+    // Compacted to two lines at the sixth write, then one more appended
+    expect(fs.readFileSync(file, 'utf-8').trim().split('\n')).toHaveLength(3);
+    await storage.close();
+
+    const reopened = await openStorage();
+    expect(reopened.entries('workflows')).toEqual([['b', { status: 'completed' }], ['a', { revision: 5 }]]);
+    await reopened.close();
+  });
+
+  test('should restore workflows, metrics and pending plans into a new state manager', async () => {
+    const stateManager = new StateManager({ storage: new FileStorage({ file }) });
+    await stateManager.initialize();
+
+    const workflow = {
+      id: 'workflow-1',
+      status: 'completed',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      completedAt: '2024-01-01T00:01:00.000Z',
+      steps: [{ id: 'analyze', status: 'completed', result: { ok: true } }]
+    };
+    stateManager.saveWorkflowState(workflow.id, workflow);
+    stateManager.updateMetrics(workflow);
+    stateManager.savePendingPlan({ planId: 'plan-1', plan: { steps: [] } });
+    await stateManager.close();
+
+    const restarted = new StateManager({ storage: new FileStorage({ file }) });
+    await restarted.initialize();
+
+    expect(restarted.getWorkflowState('workflow-1')).toMatchObject({
+      status: 'completed',
+      steps: [{ id: 'analyze', result: { ok: true } }]
+    });
+    expect(restarted.getMetrics()).toMatchObject({ totalWorkflows: 1, averageDuration: 60000 });
+    expect(restarted.listPendingPlans()).toEqual([{ planId: 'plan-1', plan: { steps: [] } }]);
+    await restarted.close();
+  });
+});
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import { GitHubIntegration } from '../../src/integrations/github-integration.js';
+
+const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+
+function createIntegration() {
+  const github = new GitHubIntegration({ token: 'token', owner: 'acme', repo: 'api' });
+  github.octokit = {
+    rest: {
+      git: {
+        getRef: jest.fn(({ ref }) => ref === 'heads/main'
+          ? Promise.resolve({ data: { object: { sha: 'main-sha' } } })
+          : Promise.reject(notFound)),
+        createRef: jest.fn().mockResolvedValue({}),
+        deleteRef: jest.fn().mockResolvedValue({}),
+        getCommit: jest.fn().mockResolvedValue({ data: { tree: { sha: 'tree-sha' } } }),
+        createBlob: jest.fn().mockResolvedValue({ data: { sha: 'blob-sha' } }),
+        createTree: jest.fn().mockResolvedValue({ data: { sha: 'new-tree-sha' } }),
+        createCommit: jest.fn().mockResolvedValue({ data: { sha: 'commit-sha', message: 'Add file' } }),
+        updateRef: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+  return github;
+}
+
+const changes = {
+  message: 'Add file',
+  files: [{ path: 'a.js', content: 'export {};' }],
+  branch: 'autodevops/feature'
+};
+
+describe('GitHubIntegration.commitChanges', () => {
+  test('should create a missing branch from its base', async () => {
+    const github = createIntegration();
+
+    const result = await github.commitChanges(changes);
+
+    expect(github.octokit.rest.git.createRef).toHaveBeenCalledWith(expect.objectContaining({
+      ref: 'refs/heads/autodevops/feature',
+      sha: 'main-sha'
+    }));
+    expect(result).toMatchObject({ sha: 'commit-sha', branch: 'autodevops/feature', createdBranch: true });
+  });
+
+  test('should delete the branch it created when the commit is aborted', async () => {
+    const github = createIntegration();
+    const controller = new AbortController();
+    github.octokit.rest.git.createCommit.mockImplementationOnce(async () => {
+      controller.abort(new Error('Workflow wf-1 was cancelled'));
+      return { data: { sha: 'commit-sha' } };
+    });
+
+    await expect(github.commitChanges(changes, { signal: controller.signal })).rejects.toThrow('was cancelled');
+
+    expect(github.octokit.rest.git.updateRef).not.toHaveBeenCalled();
+    expect(github.octokit.rest.git.deleteRef).toHaveBeenCalledWith(expect.objectContaining({
+      ref: 'heads/autodevops/feature'
+    }));
+  });
+});
+
+describe('GitHubIntegration.revertCommit', () => {
+  test('should restore the parent tree on top of the reverted commit', async () => {
+    const github = createIntegration();
+    github.octokit.rest.git.getRef.mockResolvedValueOnce({ data: { object: { sha: 'commit-sha' } } });
+    github.octokit.rest.git.getCommit
+      .mockResolvedValueOnce({ data: { message: 'Add file', parents: [{ sha: 'parent-sha' }] } })
+      .mockResolvedValueOnce({ data: { tree: { sha: 'parent-tree-sha' } } });
+    github.octokit.rest.git.createCommit.mockResolvedValueOnce({ data: { sha: 'revert-sha' } });
+
+    const result = await github.revertCommit({ sha: 'commit-sha', branch: 'main' });
+
+    expect(github.octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Revert "Add file"',
+      tree: 'parent-tree-sha',
+      parents: ['commit-sha']
+    }));
+    expect(result).toEqual({ sha: 'revert-sha', reverted: 'commit-sha', branch: 'main' });
+  });
+
+  test('should refuse to revert a commit that is no longer the branch head', async () => {
+    const github = createIntegration();
+
+    await expect(github.revertCommit({ sha: 'old-sha', branch: 'main' })).rejects.toThrow('has moved on');
+    expect(github.octokit.rest.git.updateRef).not.toHaveBeenCalled();
+  });
+});
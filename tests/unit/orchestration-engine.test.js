@@ -1,12 +1,23 @@
 import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { OrchestrationEngine } from '../../src/core/orchestration-engine.js';
+import { PlanValidationError } from '../../src/core/plan-schema.js';
+import { FileStorage } from '../../src/storage/file-storage.js';
+import { StepRegistry } from '../../src/core/step-registry.js';
+import { registerBuiltinSteps } from '../../src/core/builtin-steps.js';
+import { logContextFormat } from '../../src/utils/log-context.js';
+import Joi from 'joi';
 import winston from 'winston';
 
 // Mock integrations
 const mockIntegrations = {
   github: createMockIntegration('github', {
     analyzeRequirements: jest.fn().mockResolvedValue({ analysis: 'mock analysis' }),
-    commitChanges: jest.fn().mockResolvedValue({ sha: 'mock-sha' })
+    commitChanges: jest.fn().mockResolvedValue({ sha: 'mock-sha' }),
+    revertCommit: jest.fn().mockResolvedValue({ sha: 'revert-sha' }),
+    deploy: jest.fn().mockResolvedValue({ id: 1, previousRef: 'v1' })
   }),
   taskMaster: createMockIntegration('taskMaster', {
     generatePlan: jest.fn().mockResolvedValue(JSON.stringify({
@@ -48,7 +59,8 @@ describe('OrchestrationEngine', () => {
     });
   });
 
-  afterEach(() => {
+  afterEach(async () => {
+    await orchestrationEngine.shutdown();
     jest.clearAllMocks();
   });
 
@@ -57,6 +69,14 @@ describe('OrchestrationEngine', () => {
       await orchestrationEngine.initialize();
       expect(orchestrationEngine.isInitialized).toBe(true);
     });
+
+    test('should stop the task queue on shutdown', async () => {
+      await orchestrationEngine.initialize();
+      expect(orchestrationEngine.taskQueue.getQueueStatus().processing).toBe(true);
+
+      await orchestrationEngine.shutdown();
+      expect(orchestrationEngine.taskQueue.getQueueStatus().processing).toBe(false);
+    });
   });
 
   describe('workflow execution', () => {
@@ -89,20 +109,284 @@ describe('OrchestrationEngine', () => {
       expect(result.error).toContain('AI service unavailable');
     });
 
+    test('should return a workflow ID before execution finishes', async () => {
+      const { workflowId, status } = orchestrationEngine.submitWorkflow('Create a simple API endpoint');
+
+      expect(workflowId).toBeDefined();
+      expect(status).toBe('pending');
+
+      const result = await orchestrationEngine.waitForWorkflow(workflowId);
+      expect(result).toEqual(expect.objectContaining({ success: true, workflowId }));
+    });
+
+    test('should stop waiting when the timeout passes first', async () => {
+      let releasePlan;
+      mockIntegrations.taskMaster.generatePlan.mockImplementationOnce(() => new Promise(resolve => {
+        releasePlan = resolve;
+      }));
+
+      jest.useFakeTimers();
+      const { workflowId } = orchestrationEngine.submitWorkflow('Create a simple API endpoint');
+      const waiting = orchestrationEngine.waitForWorkflow(workflowId, 1000);
+      await jest.advanceTimersByTimeAsync(1000);
+      jest.useRealTimers();
+
+      expect(await waiting).toBeNull();
+      releasePlan(JSON.stringify({ steps: [{ type: 'analyze', integration: 'taskMaster' }] }));
+      await expect(orchestrationEngine.waitForWorkflow(workflowId))
+        .resolves.toEqual(expect.objectContaining({ success: true }));
+    });
+
     test('should validate workflow plan', () => {
-      const invalidPlan = { steps: 'not-an-array' };
-      const validatedPlan = orchestrationEngine.validateWorkflowPlan(invalidPlan);
+      const validatedPlan = orchestrationEngine.validateWorkflowPlan({
+        steps: [{ type: 'run_tests', integration: 'playwright' }]
+      });
       
-      expect(Array.isArray(validatedPlan.steps)).toBe(true);
+      expect(validatedPlan.steps[0].id).toBeDefined();
+      expect(validatedPlan.steps[0].timeout).toBe(60000);
       expect(validatedPlan.estimatedDuration).toBeDefined();
     });
 
-    test('should create fallback plan when AI fails', () => {
-      const fallbackPlan = orchestrationEngine.createFallbackPlan();
-      
-      expect(Array.isArray(fallbackPlan.steps)).toBe(true);
-      expect(fallbackPlan.steps.length).toBeGreaterThan(0);
-      expect(fallbackPlan.estimatedDuration).toBeGreaterThan(0);
+    test('should reject plans with unknown step types and integrations', () => {
+      const invalidPlan = {
+        steps: [
+          { type: 'teleport', integration: 'github' },
+          { type: 'run_tests', integration: 'phoenix' }
+        ]
+      };
+
+      expect(() => orchestrationEngine.validateWorkflowPlan(invalidPlan))
+        .toThrow(PlanValidationError);
+
+      try {
+        orchestrationEngine.validateWorkflowPlan(invalidPlan);
+      } catch (error) {
+        const paths = error.details.map(detail => detail.path);
+        expect(paths).toEqual(expect.arrayContaining(['steps[0].type', 'steps[1].integration']));
+      }
+    });
+
+    test('should re-prompt once with validation errors', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [{ type: 'teleport', integration: 'github' }]
+      }));
+
+      const result = await orchestrationEngine.executeWorkflow('Create a simple API endpoint');
+
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.taskMaster.generatePlan).toHaveBeenCalledTimes(2);
+      expect(mockIntegrations.taskMaster.generatePlan.mock.calls[1][0])
+        .toContain('steps[0].type');
+    });
+
+    test('should accept plans wrapped in fences and prose', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce([
+        'Here is your plan:',
+        '```json',
+        '{ "steps": [{ "type": "analyze", "integration": "taskMaster" }], }',
+        '```'
+      ].join('\n'));
+
+      const planning = { attempts: [] };
+      const plan = await orchestrationEngine.createWorkflowPlan('Create a simple API endpoint', {}, planning);
+
+      expect(plan.steps[0].type).toBe('analyze');
+      expect(mockIntegrations.taskMaster.generatePlan).toHaveBeenCalledTimes(1);
+      expect(planning.attempts[0].repairs)
+        .toEqual(expect.arrayContaining(['removed_code_fence', 'removed_trailing_commas']));
+    });
+
+    test('should record validation errors when the plan is rejected twice', async () => {
+      mockIntegrations.taskMaster.generatePlan
+        .mockResolvedValueOnce('not json at all')
+        .mockResolvedValueOnce(JSON.stringify({ steps: [] }));
+
+      const result = await orchestrationEngine.executeWorkflow('Create a simple API endpoint');
+      const workflow = await orchestrationEngine.getWorkflowStatus(result.workflowId);
+
+      expect(result.success).toBe(false);
+      expect(result.validationErrors).toEqual([
+        expect.objectContaining({ path: 'steps' })
+      ]);
+      expect(workflow.validationErrors).toEqual(result.validationErrors);
+      expect(workflow.planning.attempts).toHaveLength(2);
+    });
+  });
+
+  describe('plan preview', () => {
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+    });
+
+    test('should create a plan without executing it', async () => {
+      const pendingPlan = await orchestrationEngine.planWorkflow('Create a simple API endpoint');
+
+      expect(pendingPlan.planId).toBeDefined();
+      expect(pendingPlan.estimatedDuration).toBe(60);
+      expect(pendingPlan.plan.steps[0].id).toBe('test-step');
+      expect(mockIntegrations.taskMaster.analyzeRequirements).not.toHaveBeenCalled();
+    });
+
+    test('should execute a reviewed plan', async () => {
+      const { planId } = await orchestrationEngine.planWorkflow('Create a simple API endpoint');
+      const result = await orchestrationEngine.executePlan(planId);
+
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.taskMaster.generatePlan).toHaveBeenCalledTimes(1);
+      expect(mockIntegrations.taskMaster.analyzeRequirements).toHaveBeenCalled();
+      await expect(orchestrationEngine.executePlan(planId)).rejects.toThrow('not found');
+    });
+
+    test('should validate an edited plan before executing it', async () => {
+      const { planId } = await orchestrationEngine.planWorkflow('Create a simple API endpoint');
+
+      await expect(orchestrationEngine.executePlan(planId, {
+        steps: [{ type: 'deploy', integration: 'playwright' }]
+      })).rejects.toThrow(PlanValidationError);
+      expect(orchestrationEngine.pendingPlans.has(planId)).toBe(true);
+    });
+  });
+
+  describe('approval gates', () => {
+    const approvalPlan = JSON.stringify({
+      steps: [
+        { id: 'analyze', type: 'analyze', integration: 'taskMaster' },
+        { id: 'commit', type: 'commit_changes', integration: 'github', requiresApproval: true }
+      ]
+    });
+
+    const waitForApprovalRequest = () => new Promise(resolve => {
+      orchestrationEngine.once('step:awaiting_approval', resolve);
+    });
+
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+    });
+
+    test('should pause until the step is approved', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(approvalPlan);
+      const approvalRequested = waitForApprovalRequest();
+      const execution = orchestrationEngine.executeWorkflow('Commit the generated changes');
+
+      const { workflowId, stepId } = await approvalRequested;
+      const workflow = await orchestrationEngine.getWorkflowStatus(workflowId);
+      expect(workflow.status).toBe('awaiting_approval');
+      expect(mockIntegrations.github.commitChanges).not.toHaveBeenCalled();
+
+      const step = await orchestrationEngine.approveStep(workflowId, stepId, {
+        approver: 'octocat',
+        comment: 'Looks good'
+      });
+      const result = await execution;
+
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.github.commitChanges).toHaveBeenCalled();
+      expect(step.approval).toEqual(expect.objectContaining({
+        status: 'approved',
+        approver: 'octocat',
+        comment: 'Looks good'
+      }));
+    });
+
+    test('should fail the workflow when the step is rejected', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(approvalPlan);
+      const approvalRequested = waitForApprovalRequest();
+      const execution = orchestrationEngine.executeWorkflow('Commit the generated changes');
+
+      const { workflowId, stepId } = await approvalRequested;
+      await orchestrationEngine.rejectStep(workflowId, stepId, { approver: 'octocat' });
+      const result = await execution;
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('rejected by octocat');
+      expect(mockIntegrations.github.commitChanges).not.toHaveBeenCalled();
+    });
+
+    test('should require approval for steps matched by the policy', async () => {
+      const engine = new OrchestrationEngine({
+        integrations: mockIntegrations,
+        logger: mockLogger,
+        config: { approval: { environments: ['production'], branches: ['main'] } }
+      });
+      await engine.initialize();
+
+      const workflow = { options: { environment: 'production' } };
+      const { workflowExecutor } = engine;
+
+      expect(workflowExecutor.requiresApproval({ type: 'deploy', parameters: {} }, workflow)).toBe(true);
+      expect(workflowExecutor.requiresApproval({ type: 'commit_changes', parameters: {} }, workflow)).toBe(true);
+      expect(workflowExecutor.requiresApproval({ type: 'analyze', parameters: {} }, workflow)).toBe(false);
+    });
+
+    test('should reject decisions for steps that are not awaiting approval', async () => {
+      const workflow = createMockWorkflow({ status: 'running' });
+      orchestrationEngine.activeWorkflows.set(workflow.id, workflow);
+
+      expect(() => orchestrationEngine.workflowExecutor.approveStep(workflow.id, 'missing', {}))
+        .toThrow('not awaiting approval');
+    });
+  });
+
+  describe('workflow templates', () => {
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+    });
+
+    test('should load the bundled templates', () => {
+      const names = orchestrationEngine.templateRegistry.list().map(template => template.name);
+
+      expect(names).toEqual(expect.arrayContaining([
+        'ci_cd', 'pr_review', 'failure_analysis', 'deployment', 'incident_response'
+      ]));
+    });
+
+    test('should run the template for a known type without AI planning', async () => {
+      const result = await orchestrationEngine.executeWorkflow('Analyze recent commits', {
+        type: 'ci_cd',
+        repository: 'orchestrator',
+        branch: 'main',
+        commits: 3
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.taskMaster.generatePlan).not.toHaveBeenCalled();
+      expect(mockIntegrations.github.analyzeRequirements).toHaveBeenCalledWith(
+        'Analyze recent commits',
+        { repository: 'orchestrator', branch: 'main' },
+        { signal: expect.any(AbortSignal) }
+      );
+      expect(mockIntegrations.playwright.runTests)
+        .toHaveBeenCalledWith({ testSuite: 'ci-main' }, { signal: expect.any(AbortSignal), artifacts: null });
+    });
+
+    test('should render every bundled template into a valid plan', () => {
+      const values = {
+        repository: 'orchestrator',
+        branch: 'main',
+        pr_number: 42,
+        workflow_name: 'CI',
+        run_id: 1,
+        environment: 'production',
+        alert_data: { severity: 'critical' }
+      };
+
+      for (const { name } of orchestrationEngine.templateRegistry.list()) {
+        const template = orchestrationEngine.templateRegistry.get(name);
+        const plan = orchestrationEngine.validateWorkflowPlan(
+          orchestrationEngine.templateRegistry.render(template, values)
+        );
+        expect(plan.steps.length).toBeGreaterThan(0);
+      }
+    });
+
+    test('should fail when a required template parameter is missing', async () => {
+      const result = await orchestrationEngine.executeWorkflow('Review a pull request', {
+        template: 'pr_review',
+        repository: 'orchestrator'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('requires parameter "pr_number"');
     });
   });
 
@@ -133,6 +417,1066 @@ describe('OrchestrationEngine', () => {
       expect(cancelledWorkflow.status).toBe('cancelled');
       expect(orchestrationEngine.activeWorkflows.has(workflow.id)).toBe(false);
     });
+
+    test('should keep finished workflows queryable', async () => {
+      const { workflowId } = await orchestrationEngine.executeWorkflow('Create a simple API endpoint');
+
+      const workflow = await orchestrationEngine.getWorkflowStatus(workflowId);
+      expect(workflow.status).toBe('completed');
+      expect(workflow.plan.steps).toHaveLength(1);
+      expect(workflow.steps[0]).toMatchObject({ id: 'test-step', status: 'completed' });
+      expect(workflow.result).toBeDefined();
+
+      expect(orchestrationEngine.listWorkflows()).toHaveLength(0);
+      expect(orchestrationEngine.listWorkflows({ includeFinished: true }))
+        .toEqual([expect.objectContaining({ id: workflowId })]);
+      expect(orchestrationEngine.getMetrics().totalWorkflows).toBe(1);
+    });
+
+    test('should drop the oldest finished workflows beyond the retention limit', async () => {
+      const engine = new OrchestrationEngine({
+        integrations: mockIntegrations,
+        logger: mockLogger,
+        config: { retention: { maxEntries: 1 } }
+      });
+      await engine.initialize();
+
+      const first = await engine.executeWorkflow('Create a simple API endpoint');
+      const second = await engine.executeWorkflow('Create another API endpoint');
+      await engine.shutdown();
+
+      await expect(engine.getWorkflowStatus(first.workflowId)).rejects.toThrow('not found');
+      expect((await engine.getWorkflowStatus(second.workflowId)).status).toBe('completed');
+    });
+
+    test('should restore workflows and pending plans from file storage after a restart', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'autodevops-engine-'));
+      const config = { storage: { type: 'file', file: path.join(directory, 'state.jsonl') } };
+
+      try {
+        const engine = new OrchestrationEngine({ integrations: mockIntegrations, logger: mockLogger, config });
+        await engine.initialize();
+        const { workflowId } = await engine.executeWorkflow('Create a simple API endpoint');
+        const { planId } = await engine.planWorkflow('Create another API endpoint');
+        await engine.shutdown();
+
+        const restarted = new OrchestrationEngine({ integrations: mockIntegrations, logger: mockLogger, config });
+        await restarted.initialize();
+
+        const workflow = await restarted.getWorkflowStatus(workflowId);
+        expect(workflow.status).toBe('completed');
+        expect(workflow.steps[0]).toMatchObject({ id: 'test-step', status: 'completed' });
+        expect(restarted.getMetrics().totalWorkflows).toBe(1);
+
+        const result = await restarted.executePlan(planId);
+        expect(result.success).toBe(true);
+        await restarted.shutdown();
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('rerun and retry', () => {
+    let failedWorkflowId;
+
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [
+          { id: 'analyze', type: 'analyze', integration: 'taskMaster' },
+          { id: 'commit', type: 'commit_changes', integration: 'github', retryCount: 0 }
+        ]
+      }));
+      mockIntegrations.github.commitChanges.mockRejectedValueOnce(new Error('GitHub API returned 502'));
+
+      const result = await orchestrationEngine.executeWorkflow('Commit the generated changes');
+      expect(result.success).toBe(false);
+      failedWorkflowId = result.workflowId;
+      jest.clearAllMocks();
+    });
+
+    test('should re-run the stored plan without planning again', async () => {
+      const { workflowId } = orchestrationEngine.submitRerun(failedWorkflowId);
+      const result = await orchestrationEngine.waitForWorkflow(workflowId);
+
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.taskMaster.generatePlan).not.toHaveBeenCalled();
+      expect(mockIntegrations.taskMaster.analyzeRequirements).toHaveBeenCalledTimes(1);
+      expect((await orchestrationEngine.getWorkflowStatus(workflowId)).parentWorkflowId).toBe(failedWorkflowId);
+    });
+
+    test('should retry from the failed step reusing earlier results', async () => {
+      const { workflowId } = orchestrationEngine.submitRetry(failedWorkflowId);
+      const result = await orchestrationEngine.waitForWorkflow(workflowId);
+
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.taskMaster.analyzeRequirements).not.toHaveBeenCalled();
+      expect(mockIntegrations.github.commitChanges).toHaveBeenCalledTimes(1);
+
+      const workflow = await orchestrationEngine.getWorkflowStatus(workflowId);
+      expect(workflow).toMatchObject({ parentWorkflowId: failedWorkflowId, retriedFromStep: 'commit' });
+      expect(workflow.steps[0]).toMatchObject({ id: 'analyze', status: 'completed', reusedFrom: failedWorkflowId });
+      expect(result.result.steps).toHaveLength(2);
+    });
+
+    test('should reject retries from unknown steps or unfinished workflows', () => {
+      expect(() => orchestrationEngine.submitRetry(failedWorkflowId, 'missing'))
+        .toThrow('is not part of');
+
+      orchestrationEngine.activeWorkflows.set('running-workflow', { id: 'running-workflow', status: 'running', steps: [] });
+      expect(() => orchestrationEngine.submitRerun('running-workflow')).toThrow('has not finished');
+    });
+  });
+
+  describe('step retries', () => {
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+    });
+
+    test('should retry retryable failures with backoff and record each attempt', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [{ id: 'tests', type: 'run_tests', integration: 'playwright', retryCount: 2 }]
+      }));
+      const unavailable = Object.assign(new Error('Failed to run tests: Bad Gateway'), { status: 502 });
+      mockIntegrations.playwright.runTests.mockRejectedValueOnce(unavailable);
+
+      const retrying = jest.fn();
+      orchestrationEngine.workflowExecutor.on('step:retrying', retrying);
+
+      jest.useFakeTimers();
+      const { workflowId } = orchestrationEngine.submitWorkflow('Run the browser tests');
+      const execution = orchestrationEngine.waitForWorkflow(workflowId);
+      await jest.advanceTimersByTimeAsync(1000);
+      jest.useRealTimers();
+
+      const result = await execution;
+      expect(result.success).toBe(true);
+      expect(retrying).toHaveBeenCalledWith(expect.objectContaining({ stepId: 'tests', attempt: 1 }));
+
+      const [step] = (await orchestrationEngine.getWorkflowStatus(workflowId)).steps;
+      expect(step.attempts).toEqual([
+        expect.objectContaining({ attempt: 1, status: 'failed', retryable: true, error: unavailable.message }),
+        expect.objectContaining({ attempt: 2, status: 'completed', duration: expect.any(Number) })
+      ]);
+    });
+
+    test('should not retry fatal errors', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [{ id: 'commit', type: 'commit_changes', integration: 'github', retryCount: 2 }]
+      }));
+      const unauthorized = Object.assign(new Error('Failed to commit changes: Bad credentials'), { status: 401 });
+      mockIntegrations.github.commitChanges.mockRejectedValueOnce(unauthorized);
+
+      const result = await orchestrationEngine.executeWorkflow('Commit the generated changes');
+
+      expect(result.success).toBe(false);
+      expect(mockIntegrations.github.commitChanges).toHaveBeenCalledTimes(1);
+      const [step] = (await orchestrationEngine.getWorkflowStatus(result.workflowId)).steps;
+      expect(step.attempts).toEqual([expect.objectContaining({ attempt: 1, status: 'failed', retryable: false })]);
+    });
+
+    test('should not retry a step that is not resumable when it may have taken effect', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [{ id: 'commit', type: 'commit_changes', integration: 'github', retryCount: 2 }]
+      }));
+      mockIntegrations.github.commitChanges.mockRejectedValueOnce(
+        Object.assign(new Error('Failed to commit changes: Bad Gateway'), { status: 502 }));
+
+      const result = await orchestrationEngine.executeWorkflow('Commit the generated changes');
+
+      expect(result.success).toBe(false);
+      expect(mockIntegrations.github.commitChanges).toHaveBeenCalledTimes(1);
+      const [step] = (await orchestrationEngine.getWorkflowStatus(result.workflowId)).steps;
+      expect(step.attempts).toEqual([expect.objectContaining({ attempt: 1, status: 'failed', retryable: false })]);
+    });
+
+    test('should abort a timed out attempt before the next one starts', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [{ id: 'tests', type: 'run_tests', integration: 'playwright', timeout: 1000, retryCount: 1 }]
+      }));
+      const events = [];
+      mockIntegrations.playwright.runTests
+        .mockImplementationOnce((parameters, { signal }) => new Promise((resolve, reject) => {
+          events.push('first started');
+          signal.addEventListener('abort', () => {
+            events.push('first aborted');
+            reject(signal.reason);
+          });
+        }))
+        .mockImplementationOnce(async () => {
+          events.push('second started');
+          return { passed: true };
+        });
+
+      jest.useFakeTimers();
+      const { workflowId } = orchestrationEngine.submitWorkflow('Run the browser tests');
+      const execution = orchestrationEngine.waitForWorkflow(workflowId);
+      await jest.advanceTimersByTimeAsync(2000);
+      jest.useRealTimers();
+
+      const result = await execution;
+      expect(result.success).toBe(true);
+      expect(events).toEqual(['first started', 'first aborted', 'second started']);
+      const [step] = (await orchestrationEngine.getWorkflowStatus(workflowId)).steps;
+      expect(step.attempts).toEqual([
+        expect.objectContaining({ attempt: 1, status: 'failed', retryable: true, error: 'Step tests timed out after 1000ms' }),
+        expect.objectContaining({ attempt: 2, status: 'completed' })
+      ]);
+    });
+  });
+
+  describe('rollback', () => {
+    const deployFailure = () => Object.assign(new Error('Failed to deploy: Bad credentials'), { status: 401 });
+    const releasePlan = (rollbackStrategy) => JSON.stringify({
+      rollbackStrategy,
+      steps: [
+        { id: 'commit-api', type: 'commit_changes', integration: 'github' },
+        { id: 'commit-docs', type: 'commit_changes', integration: 'github' },
+        { id: 'deploy', type: 'deploy', integration: 'github', parameters: { environment: 'staging' } }
+      ]
+    });
+
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+    });
+
+    test('should compensate completed steps in reverse order when a later step fails', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(releasePlan('automatic'));
+      mockIntegrations.github.commitChanges
+        .mockResolvedValueOnce({ sha: 'api-sha', branch: 'main' })
+        .mockResolvedValueOnce({ sha: 'docs-sha', branch: 'main' });
+      mockIntegrations.github.deploy.mockRejectedValueOnce(deployFailure());
+
+      const result = await orchestrationEngine.executeWorkflow('Release the API');
+
+      expect(result.success).toBe(false);
+      expect(mockIntegrations.github.revertCommit.mock.calls.map(([data]) => data.sha)).toEqual(['docs-sha', 'api-sha']);
+
+      const workflow = await orchestrationEngine.getWorkflowStatus(result.workflowId);
+      expect(workflow.compensations).toEqual([
+        expect.objectContaining({ stepId: 'commit-docs', status: 'completed', result: { sha: 'revert-sha' } }),
+        expect.objectContaining({ stepId: 'commit-api', status: 'completed' })
+      ]);
+    });
+
+    test('should leave compensations pending for a manual rollback', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(releasePlan('manual'));
+      mockIntegrations.github.deploy.mockRejectedValueOnce(deployFailure());
+      mockIntegrations.github.revertCommit.mockRejectedValueOnce(new Error('main has moved on from mock-sha'));
+
+      const { workflowId } = await orchestrationEngine.executeWorkflow('Release the API');
+      expect(mockIntegrations.github.revertCommit).not.toHaveBeenCalled();
+      expect((await orchestrationEngine.getWorkflowStatus(workflowId)).compensations
+        .map(compensation => compensation.status)).toEqual(['pending', 'pending']);
+
+      const workflow = await orchestrationEngine.rollbackWorkflow(workflowId);
+      expect(workflow.compensations.map(compensation => compensation.status)).toEqual(['failed', 'completed']);
+      expect(workflow.compensations[0].error).toContain('has moved on');
+
+      await orchestrationEngine.rollbackWorkflow(workflowId);
+      await expect(orchestrationEngine.rollbackWorkflow(workflowId)).rejects.toThrow('nothing to roll back');
+    });
+
+    test('should run compensated steps again when retrying', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [
+          { id: 'commit', type: 'commit_changes', integration: 'github' },
+          { id: 'deploy', type: 'deploy', integration: 'github' }
+        ]
+      }));
+      mockIntegrations.github.deploy.mockRejectedValueOnce(deployFailure());
+
+      const failed = await orchestrationEngine.executeWorkflow('Release the API');
+      expect(mockIntegrations.github.revertCommit).toHaveBeenCalledTimes(1);
+      expect((await orchestrationEngine.getWorkflowStatus(failed.workflowId)).steps[0]).toMatchObject({
+        id: 'commit',
+        status: 'compensated',
+        compensatedAt: expect.any(String)
+      });
+
+      const { workflowId } = orchestrationEngine.submitRetry(failed.workflowId);
+      const result = await orchestrationEngine.waitForWorkflow(workflowId);
+
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.github.commitChanges).toHaveBeenCalledTimes(2);
+      expect((await orchestrationEngine.getWorkflowStatus(workflowId)).retriedFromStep).toBe('commit');
+    });
+
+    test('should compensate each variant of a matrix step', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [
+          {
+            id: 'commit',
+            type: 'commit_changes',
+            integration: 'github',
+            matrix: { values: { branch: ['release/1.x', 'release/2.x'] } }
+          },
+          { id: 'deploy', type: 'deploy', integration: 'github' }
+        ]
+      }));
+      mockIntegrations.github.commitChanges.mockImplementation(async ({ branch }) => ({ sha: `${branch}-sha`, branch }));
+      mockIntegrations.github.deploy.mockRejectedValueOnce(deployFailure());
+
+      try {
+        const result = await orchestrationEngine.executeWorkflow('Backport the fix');
+
+        expect(result.success).toBe(false);
+        expect(mockIntegrations.github.revertCommit.mock.calls.map(([data]) => data.sha))
+          .toEqual(['release/2.x-sha', 'release/1.x-sha']);
+        const workflow = await orchestrationEngine.getWorkflowStatus(result.workflowId);
+        expect(workflow.compensations).toEqual([
+          expect.objectContaining({ stepId: 'commit', variant: 1, status: 'completed' }),
+          expect.objectContaining({ stepId: 'commit', variant: 0, status: 'completed' })
+        ]);
+      } finally {
+        mockIntegrations.github.commitChanges.mockResolvedValue({ sha: 'mock-sha' });
+      }
+    });
+
+    test('should compensate the completed variants of a failed matrix step', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [{
+          id: 'commit',
+          type: 'commit_changes',
+          integration: 'github',
+          matrix: { values: { branch: ['release/1.x', 'release/2.x'] }, maxParallel: 1 }
+        }]
+      }));
+      mockIntegrations.github.commitChanges.mockImplementation(async ({ branch }) => {
+        if (branch === 'release/2.x') throw deployFailure();
+        return { sha: `${branch}-sha`, branch };
+      });
+
+      try {
+        const result = await orchestrationEngine.executeWorkflow('Backport the fix');
+
+        expect(result.success).toBe(false);
+        expect(mockIntegrations.github.revertCommit.mock.calls.map(([data]) => data.sha))
+          .toEqual(['release/1.x-sha']);
+        const workflow = await orchestrationEngine.getWorkflowStatus(result.workflowId);
+        expect(workflow.compensations).toEqual([
+          expect.objectContaining({ stepId: 'commit', variant: 0, status: 'completed' })
+        ]);
+        expect(workflow.steps[0].status).toBe('failed');
+        expect(workflow.steps[0].variants.map(variant => variant.status)).toEqual(['compensated', 'failed']);
+      } finally {
+        mockIntegrations.github.commitChanges.mockResolvedValue({ sha: 'mock-sha' });
+      }
+    });
+  });
+
+  describe('cancellation', () => {
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+    });
+
+    test('should abort in-flight integration calls and start no further steps', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [
+          { id: 'analyze', type: 'analyze', integration: 'taskMaster' },
+          { id: 'commit', type: 'commit_changes', integration: 'github' }
+        ]
+      }));
+      let signal;
+      mockIntegrations.taskMaster.analyzeRequirements.mockImplementationOnce((instruction, parameters, options) =>
+        new Promise((resolve, reject) => {
+          signal = options.signal;
+          signal.addEventListener('abort', () => reject(signal.reason));
+        }));
+
+      const cancelled = jest.fn();
+      orchestrationEngine.on('workflow:cancelled', cancelled);
+
+      const { workflowId } = orchestrationEngine.submitWorkflow('Commit the generated changes');
+      while (!signal) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      await orchestrationEngine.cancelWorkflow(workflowId);
+      const result = await orchestrationEngine.waitForWorkflow(workflowId);
+
+      expect(signal.aborted).toBe(true);
+      expect(cancelled).toHaveBeenCalledWith({ workflowId, status: 'cancelled' });
+      expect(result.success).toBe(false);
+      expect(mockIntegrations.github.commitChanges).not.toHaveBeenCalled();
+
+      const workflow = await orchestrationEngine.getWorkflowStatus(workflowId);
+      expect(workflow.status).toBe('cancelled');
+      expect(workflow.steps).toEqual([expect.objectContaining({ id: 'analyze', status: 'cancelled' })]);
+    });
+
+    test('should keep completed steps when cancelled while awaiting approval', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [
+          { id: 'commit', type: 'commit_changes', integration: 'github' },
+          { id: 'deploy', type: 'deploy', integration: 'github', requiresApproval: true }
+        ]
+      }));
+      const approvalRequested = new Promise(resolve => orchestrationEngine.once('step:awaiting_approval', resolve));
+
+      const { workflowId } = orchestrationEngine.submitWorkflow('Release the API');
+      await approvalRequested;
+      await orchestrationEngine.cancelWorkflow(workflowId);
+      const result = await orchestrationEngine.waitForWorkflow(workflowId);
+
+      expect(result.success).toBe(false);
+      expect(mockIntegrations.github.deploy).not.toHaveBeenCalled();
+      expect(mockIntegrations.github.revertCommit).not.toHaveBeenCalled();
+
+      const workflow = await orchestrationEngine.getWorkflowStatus(workflowId);
+      expect(workflow.status).toBe('cancelled');
+      expect(workflow.compensations).toBeUndefined();
+      expect(workflow.steps.map(step => step.status)).toEqual(['completed', 'cancelled']);
+    });
+  });
+
+  describe('workflow deadline', () => {
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+    });
+
+    test('should time out and skip the remaining steps when the deadline passes', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [
+          { id: 'analyze', type: 'analyze', integration: 'taskMaster' },
+          { id: 'commit', type: 'commit_changes', integration: 'github' }
+        ]
+      }));
+      mockIntegrations.taskMaster.analyzeRequirements.mockImplementationOnce(() => new Promise(() => {}));
+
+      jest.useFakeTimers();
+      const { workflowId } = orchestrationEngine.submitWorkflow('Commit the generated changes', { timeout: 5000 });
+      const execution = orchestrationEngine.waitForWorkflow(workflowId);
+      await jest.advanceTimersByTimeAsync(5000);
+      jest.useRealTimers();
+
+      const result = await execution;
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('exceeded its deadline of 5000ms');
+
+      const workflow = await orchestrationEngine.getWorkflowStatus(workflowId);
+      expect(workflow.status).toBe('timed_out');
+      expect(workflow.steps.map(step => step.status)).toEqual(['timed_out', 'skipped']);
+      expect(mockIntegrations.github.commitChanges).not.toHaveBeenCalled();
+    });
+
+    test('should derive the deadline from the estimated duration', async () => {
+      const { workflowId } = await orchestrationEngine.executeWorkflow('Create a simple API endpoint');
+
+      // estimatedDuration of 60 seconds times the default factor of 3
+      expect((await orchestrationEngine.getWorkflowStatus(workflowId)).timeout).toBe(180000);
+    });
+  });
+
+  describe('conditional steps', () => {
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+    });
+
+    test('should skip steps whose condition is false and record the reason', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [
+          { id: 'tests', type: 'run_tests', integration: 'playwright' },
+          { id: 'commit', type: 'commit_changes', integration: 'github', when: 'tests.data.failed == 0' },
+          { id: 'monitor', type: 'monitor', integration: 'phoenix', when: "environment == 'production'" }
+        ]
+      }));
+
+      const result = await orchestrationEngine.executeWorkflow('Commit when tests pass', { environment: 'staging' });
+
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.github.commitChanges).toHaveBeenCalledTimes(1);
+      expect(result.result.summary.skippedSteps).toBe(1);
+
+      const workflow = await orchestrationEngine.getWorkflowStatus(result.workflowId);
+      expect(workflow.steps[2]).toMatchObject({
+        id: 'monitor',
+        status: 'skipped',
+        skipReason: 'Condition "environment == \'production\'" was false'
+      });
+    });
+
+    test('should reject conditions that do not parse', () => {
+      const plan = {
+        steps: [{ id: 'a', type: 'analyze', integration: 'taskMaster', when: 'environment ==' }]
+      };
+      expect(() => orchestrationEngine.validateWorkflowPlan(plan)).toThrow(expect.objectContaining({
+        details: [{ path: 'steps[0].when', message: 'Step a has an invalid condition: Condition ended unexpectedly' }]
+      }));
+    });
+  });
+
+  describe('step outputs', () => {
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+    });
+
+    test('should pass earlier results into templated parameters', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [
+          { id: 'analyze', type: 'analyze', integration: 'taskMaster', outputs: { summary: 'data.requirements' } },
+          {
+            id: 'commit',
+            type: 'commit_changes',
+            integration: 'github',
+            parameters: {
+              message: 'Implement {{ steps.analyze.outputs.summary }}',
+              files: '{{ steps.analyze.data.files }}'
+            }
+          }
+        ]
+      }));
+      const files = [{ path: 'src/login.js', content: 'export {};' }];
+      mockIntegrations.taskMaster.analyzeRequirements.mockResolvedValueOnce({ requirements: 'login form', files });
+
+      const result = await orchestrationEngine.executeWorkflow('Add a login form');
+
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.github.commitChanges).toHaveBeenCalledWith({
+        message: 'Implement login form',
+        files,
+        branch: 'main'
+      }, { signal: expect.any(AbortSignal) });
+      expect(result.result.steps[0].outputs).toEqual({ summary: 'login form' });
+    });
+
+    test('should fail the step without retrying when a template does not resolve', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [
+          { id: 'analyze', type: 'analyze', integration: 'taskMaster' },
+          { id: 'commit', type: 'commit_changes', integration: 'github', parameters: { files: '{{ analyze.data.files }}' } }
+        ]
+      }));
+
+      const result = await orchestrationEngine.executeWorkflow('Commit the generated files');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('{{ analyze.data.files }} did not resolve');
+      expect(mockIntegrations.github.commitChanges).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('matrix steps', () => {
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+    });
+
+    const browserPlan = matrix => JSON.stringify({
+      steps: [{
+        id: 'e2e',
+        type: 'run_tests',
+        integration: 'playwright',
+        parameters: { testSuite: '{{ matrix.browser }}-smoke' },
+        matrix: { values: { browser: ['chromium', 'firefox', 'webkit'] }, ...matrix }
+      }]
+    });
+
+    test('should run every variant and combine their results', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(browserPlan({ maxParallel: 2 }));
+
+      const result = await orchestrationEngine.executeWorkflow('Run the smoke tests in every browser');
+
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.playwright.runTests).toHaveBeenCalledTimes(3);
+      expect(mockIntegrations.playwright.runTests).toHaveBeenCalledWith(
+        { testSuite: 'webkit-smoke', browser: 'webkit' },
+        { signal: expect.any(AbortSignal), artifacts: null }
+      );
+      expect(result.result.steps[0]).toMatchObject({
+        type: 'matrix',
+        data: {
+          total: 3,
+          variants: [
+            { matrix: { browser: 'chromium' }, result: { type: 'test_results', data: { passed: 1, failed: 0 } } },
+            { matrix: { browser: 'firefox' } },
+            { matrix: { browser: 'webkit' } }
+          ]
+        }
+      });
+      expect(result.result.summary.testsPassed).toBe(3);
+    });
+
+    test('should cancel the remaining variants after a failure when failing fast', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(browserPlan({ maxParallel: 1 }));
+      mockIntegrations.playwright.runTests.mockImplementation(async ({ browser }) => {
+        if (browser === 'firefox') throw new TypeError('firefox is not installed');
+        return { passed: 1, failed: 0 };
+      });
+
+      try {
+        const result = await orchestrationEngine.executeWorkflow('Run the smoke tests in every browser');
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Matrix step e2e failed for 1 of 3 variants: browser="firefox": firefox is not installed');
+        expect(mockIntegrations.playwright.runTests).toHaveBeenCalledTimes(2);
+
+        const workflow = await orchestrationEngine.getWorkflowStatus(result.workflowId);
+        expect(workflow.steps[0].variants.map(variant => variant.status)).toEqual(['completed', 'failed', 'cancelled']);
+      } finally {
+        mockIntegrations.playwright.runTests.mockResolvedValue({ passed: 1, failed: 0 });
+      }
+    });
+
+    test('should run every variant when not failing fast', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(browserPlan({ maxParallel: 1, failFast: false }));
+      mockIntegrations.playwright.runTests.mockImplementation(async ({ browser }) => {
+        if (browser === 'firefox') throw new TypeError('firefox is not installed');
+        return { passed: 1, failed: 0 };
+      });
+
+      try {
+        const result = await orchestrationEngine.executeWorkflow('Run the smoke tests in every browser');
+
+        expect(result.success).toBe(false);
+        expect(mockIntegrations.playwright.runTests).toHaveBeenCalledTimes(3);
+        const workflow = await orchestrationEngine.getWorkflowStatus(result.workflowId);
+        expect(workflow.steps[0].variants.map(variant => variant.status)).toEqual(['completed', 'failed', 'completed']);
+      } finally {
+        mockIntegrations.playwright.runTests.mockResolvedValue({ passed: 1, failed: 0 });
+      }
+    });
+  });
+
+  describe('artifacts', () => {
+    test('should keep generated files as artifacts and load them for later steps', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'autodevops-artifacts-'));
+      const generatedCode = '```javascript:src/login.js\nexport {};\n```';
+      const generateCode = jest.fn().mockResolvedValue({
+        instruction: 'Add a login form',
+        generatedCode,
+        codeBlocks: [{ language: 'javascript', filename: 'src/login.js', code: 'export {};' }],
+        files: [{ path: 'src/login.js', content: 'export {};', language: 'javascript' }],
+        timestamp: '2024-01-01T00:00:00.000Z'
+      });
+      const engine = new OrchestrationEngine({
+        integrations: { ...mockIntegrations, taskMaster: { ...mockIntegrations.taskMaster, generateCode } },
+        logger: mockLogger,
+        config: { artifacts: { directory } }
+      });
+      await engine.initialize();
+
+      try {
+        mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+          steps: [
+            { id: 'generate', type: 'generate_code', integration: 'taskMaster' },
+            { id: 'commit', type: 'commit_changes', integration: 'github', parameters: { files: '{{ steps.generate.data.files }}' } }
+          ]
+        }));
+
+        const result = await engine.executeWorkflow('Add a login form');
+
+        expect(result.success).toBe(true);
+        expect(result.result.steps[0].data).toEqual(expect.objectContaining({
+          instruction: 'Add a login form',
+          files: [{ path: 'src/login.js', language: 'javascript', artifact: 'generate-src_login.js', size: 10 }]
+        }));
+        expect(JSON.stringify(result.result.steps[0].data)).not.toContain('export {};');
+        expect(mockIntegrations.github.commitChanges).toHaveBeenCalledWith(expect.objectContaining({
+          files: [expect.objectContaining({ path: 'src/login.js', content: 'export {};' })]
+        }), expect.anything());
+
+        const artifacts = await engine.listArtifacts(result.workflowId);
+        expect(artifacts).toEqual([expect.objectContaining({ name: 'generate-src_login.js', stepId: 'generate', kind: 'file' })]);
+        const artifact = await engine.getArtifact(result.workflowId, 'generate-src_login.js');
+        expect(fs.readFileSync(artifact.path, 'utf-8')).toBe('export {};');
+        await expect(engine.getArtifact(result.workflowId, 'missing.png')).rejects.toThrow('not found');
+      } finally {
+        await engine.shutdown();
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('workflow logs', () => {
+    test('should capture the logs of each workflow with their step', async () => {
+      const logger = winston.createLogger({ level: 'debug', format: logContextFormat(), transports: [] });
+      const analyzeRequirements = jest.fn(async () => {
+        logger.warn('Repository is large, sampling files');
+        return { requirements: 'sampled' };
+      });
+      const engine = new OrchestrationEngine({
+        integrations: { ...mockIntegrations, taskMaster: { ...mockIntegrations.taskMaster, analyzeRequirements } },
+        logger
+      });
+      await engine.initialize();
+
+      try {
+        const { workflowId } = await engine.executeWorkflow('Analyze the repository');
+
+        const entries = await engine.getWorkflowLogs(workflowId);
+        expect(entries[0]).toMatchObject({ level: 'info', message: expect.stringContaining('Starting workflow'), stepId: null });
+        expect(await engine.getWorkflowLogs(workflowId, { level: 'warn' })).toEqual([
+          expect.objectContaining({ message: 'Repository is large, sampling files', workflowId, stepId: 'test-step' })
+        ]);
+
+        const followed = [];
+        const { finished } = await engine.followWorkflowLogs(workflowId, { level: 'warn' }, entry => followed.push(entry));
+        await finished;
+        expect(followed).toHaveLength(1);
+        await expect(engine.getWorkflowLogs('missing')).rejects.toThrow('not found');
+      } finally {
+        await engine.shutdown();
+      }
+    });
+  });
+
+  describe('custom step types', () => {
+    test('should plan, validate and run registered step types', async () => {
+      const sendMessage = jest.fn().mockResolvedValue({ delivered: true });
+      const engine = new OrchestrationEngine({
+        integrations: { ...mockIntegrations, fastMCP: createMockIntegration('fastMCP', { sendMessage }) },
+        logger: mockLogger,
+        stepRegistry: registerBuiltinSteps(new StepRegistry())
+      });
+      engine.registerStepType('notify', {
+        description: 'Post a message to a channel',
+        integrations: ['fastMCP'],
+        parameters: Joi.object({ channel: Joi.string().required() }),
+        handler: async ({ integration, parameters }) => ({
+          type: 'notification',
+          data: await integration.sendMessage(parameters.channel)
+        })
+      });
+      await engine.initialize();
+
+      try {
+        expect(engine.buildPlanningPrompt('Tell the team')).toContain(
+          '- notify (integration: fastMCP): Post a message to a channel. Parameters: channel.'
+        );
+        expect(() => engine.validateWorkflowPlan({
+          steps: [{ id: 'ping', type: 'notify', integration: 'fastMCP', parameters: {} }]
+        })).toThrow(PlanValidationError);
+
+        mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+          steps: [{ id: 'ping', type: 'notify', integration: 'fastMCP', parameters: { channel: '#deploys' } }]
+        }));
+        const result = await engine.executeWorkflow('Tell the team');
+
+        expect(result.success).toBe(true);
+        expect(sendMessage).toHaveBeenCalledWith('#deploys');
+        expect(result.result.steps[0]).toMatchObject({ type: 'notification', data: { delivered: true } });
+      } finally {
+        await engine.shutdown();
+      }
+    });
+  });
+
+  describe('step dependencies', () => {
+    beforeEach(async () => {
+      await orchestrationEngine.initialize();
+    });
+
+    test('should reject cycles and references to unknown steps', () => {
+      const cyclic = {
+        steps: [
+          { id: 'a', type: 'analyze', integration: 'taskMaster', dependsOn: ['c'] },
+          { id: 'b', type: 'analyze', integration: 'taskMaster' },
+          { id: 'c', type: 'analyze', integration: 'taskMaster' }
+        ]
+      };
+      expect(() => orchestrationEngine.validateWorkflowPlan(cyclic)).toThrow(expect.objectContaining({
+        details: [{ path: 'steps', message: 'Steps form a dependency cycle: a -> c -> b -> a' }]
+      }));
+
+      const dangling = {
+        steps: [{ id: 'a', type: 'analyze', integration: 'taskMaster', dependsOn: ['missing'] }]
+      };
+      expect(() => orchestrationEngine.validateWorkflowPlan(dangling)).toThrow(expect.objectContaining({
+        details: [{ path: 'steps[0].dependsOn[0]', message: 'Step a depends on unknown step missing' }]
+      }));
+    });
+
+    test('should run independent steps in parallel', async () => {
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [
+          { id: 'tests', type: 'run_tests', integration: 'playwright' },
+          { id: 'analysis', type: 'analyze', integration: 'taskMaster', dependsOn: [] },
+          { id: 'commit', type: 'commit_changes', integration: 'github', dependsOn: ['tests', 'analysis'] }
+        ]
+      }));
+
+      const release = {};
+      mockIntegrations.playwright.runTests.mockImplementationOnce(() => new Promise(resolve => {
+        release.tests = resolve;
+      }));
+      mockIntegrations.taskMaster.analyzeRequirements.mockImplementationOnce(() => new Promise(resolve => {
+        release.analysis = resolve;
+      }));
+
+      const { workflowId } = orchestrationEngine.submitWorkflow('Test, analyze and commit');
+      while (!release.tests || !release.analysis) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      // Both branches are running at once and the join step waits for them
+      expect(mockIntegrations.github.commitChanges).not.toHaveBeenCalled();
+      release.tests({ passed: 1, failed: 0 });
+      release.analysis({ analysis: 'done' });
+
+      const result = await orchestrationEngine.waitForWorkflow(workflowId);
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.github.commitChanges).toHaveBeenCalledTimes(1);
+      expect(result.result.steps.map(step => step.type)).toEqual(['test_results', 'analysis', 'commit']);
+    });
+  });
+
+  describe('scheduling', () => {
+    test('should queue workflows beyond the concurrency limit', async () => {
+      const engine = new OrchestrationEngine({
+        integrations: mockIntegrations,
+        logger: mockLogger,
+        config: { scheduler: { maxConcurrent: 1 } }
+      });
+      await engine.initialize();
+
+      let finishAnalysis;
+      mockIntegrations.taskMaster.analyzeRequirements.mockImplementationOnce(() => new Promise(resolve => {
+        finishAnalysis = resolve;
+      }));
+
+      const first = engine.submitWorkflow('Create a simple API endpoint');
+      const second = engine.submitWorkflow('Create another API endpoint');
+      while (!finishAnalysis) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      expect(await engine.getWorkflowStatus(second.workflowId))
+        .toMatchObject({ status: 'queued', queuePosition: 1 });
+      expect(engine.getMetrics().queuedWorkflows).toBe(1);
+
+      finishAnalysis({ analysis: 'done' });
+      expect((await engine.waitForWorkflow(first.workflowId)).success).toBe(true);
+      expect((await engine.waitForWorkflow(second.workflowId)).success).toBe(true);
+      await engine.shutdown();
+    });
+
+    test('should free the slot while a workflow awaits approval', async () => {
+      const engine = new OrchestrationEngine({
+        integrations: mockIntegrations,
+        logger: mockLogger,
+        config: { scheduler: { maxConcurrent: 1 } }
+      });
+      await engine.initialize();
+
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [{ id: 'commit', type: 'commit_changes', integration: 'github', requiresApproval: true }]
+      }));
+      let finishAnalysis;
+      mockIntegrations.taskMaster.analyzeRequirements.mockImplementationOnce(() => new Promise(resolve => {
+        finishAnalysis = resolve;
+      }));
+
+      const approvalRequested = new Promise(resolve => engine.once('step:awaiting_approval', resolve));
+      const gated = engine.submitWorkflow('Commit the generated changes');
+      const { stepId } = await approvalRequested;
+
+      const other = engine.submitWorkflow('Create a simple API endpoint');
+      // The other workflow only starts when the gated one gave up its slot
+      for (let turn = 0; turn < 50 && !finishAnalysis; turn++) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      expect(finishAnalysis).toBeDefined();
+
+      // Approved, but the other workflow holds the only slot now
+      await engine.approveStep(gated.workflowId, stepId, { approver: 'octocat' });
+      const workflow = await engine.getWorkflowStatus(gated.workflowId);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(workflow.queuePosition).toBe(1);
+      expect(mockIntegrations.github.commitChanges).not.toHaveBeenCalled();
+
+      finishAnalysis({ analysis: 'done' });
+      expect((await engine.waitForWorkflow(other.workflowId)).success).toBe(true);
+      expect((await engine.waitForWorkflow(gated.workflowId)).success).toBe(true);
+      expect(mockIntegrations.github.commitChanges).toHaveBeenCalledTimes(1);
+      expect(engine.scheduler.getStats()).toMatchObject({ running: 0, queued: 0 });
+      await engine.shutdown();
+    });
+
+    test('should leave the queue when cancelled while waiting for the slot again', async () => {
+      const engine = new OrchestrationEngine({
+        integrations: mockIntegrations,
+        logger: mockLogger,
+        config: { scheduler: { maxConcurrent: 1 } }
+      });
+      await engine.initialize();
+
+      mockIntegrations.taskMaster.generatePlan.mockResolvedValueOnce(JSON.stringify({
+        steps: [
+          { id: 'commit', type: 'commit_changes', integration: 'github' },
+          { id: 'deploy', type: 'deploy', integration: 'github', requiresApproval: true }
+        ]
+      }));
+      let finishAnalysis;
+      mockIntegrations.taskMaster.analyzeRequirements.mockImplementationOnce(() => new Promise(resolve => {
+        finishAnalysis = resolve;
+      }));
+
+      const approvalRequested = new Promise(resolve => engine.once('step:awaiting_approval', resolve));
+      const gated = engine.submitWorkflow('Release the API');
+      const { stepId } = await approvalRequested;
+      const other = engine.submitWorkflow('Create a simple API endpoint');
+      for (let turn = 0; turn < 50 && !finishAnalysis; turn++) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      expect(finishAnalysis).toBeDefined();
+
+      await engine.approveStep(gated.workflowId, stepId, { approver: 'octocat' });
+      const workflow = await engine.getWorkflowStatus(gated.workflowId);
+      await new Promise(resolve => setImmediate(resolve));
+      await engine.cancelWorkflow(gated.workflowId);
+
+      const result = await engine.waitForWorkflow(gated.workflowId);
+      expect(result.success).toBe(false);
+      expect(workflow.status).toBe('cancelled');
+      expect(engine.scheduler.getStats().queued).toBe(0);
+      // Stopped rather than failed, so the commit is kept
+      expect(mockIntegrations.github.revertCommit).not.toHaveBeenCalled();
+      expect(mockIntegrations.github.deploy).not.toHaveBeenCalled();
+
+      finishAnalysis({ analysis: 'done' });
+      expect((await engine.waitForWorkflow(other.workflowId)).success).toBe(true);
+      expect(engine.scheduler.getStats()).toMatchObject({ running: 0, queued: 0 });
+      await engine.shutdown();
+    });
+  });
+
+  describe('concurrency groups', () => {
+    const options = { type: 'custom', repository: 'app', branch: 'main' };
+
+    const startEngine = async (concurrency) => {
+      const engine = new OrchestrationEngine({
+        integrations: mockIntegrations,
+        logger: mockLogger,
+        config: { concurrency: { ...concurrency, keys: { custom: ['repository', 'branch'] } } }
+      });
+      await engine.initialize();
+      return engine;
+    };
+
+    test('should supersede the in-flight workflow for the same key', async () => {
+      const engine = await startEngine({ strategy: 'supersede' });
+
+      const first = engine.submitWorkflow('Build the app', options);
+      const second = engine.submitWorkflow('Build the app', options);
+      const other = engine.submitWorkflow('Build the app', { ...options, branch: 'develop' });
+
+      const firstResult = await engine.waitForWorkflow(first.workflowId);
+      expect(firstResult.success).toBe(false);
+      expect(firstResult.error).toContain(`superseded by ${second.workflowId}`);
+      expect((await engine.waitForWorkflow(second.workflowId)).success).toBe(true);
+      expect((await engine.waitForWorkflow(other.workflowId)).success).toBe(true);
+
+      const superseded = await engine.getWorkflowStatus(first.workflowId);
+      expect(superseded).toMatchObject({ status: 'superseded', supersededBy: second.workflowId });
+      await engine.shutdown();
+    });
+
+    test('should skip submissions while a workflow for the key is in flight', async () => {
+      const engine = await startEngine({ strategy: 'skip' });
+
+      const first = engine.submitWorkflow('Build the app', options);
+      const second = engine.submitWorkflow('Build the app', options);
+
+      expect(second).toEqual({ workflowId: first.workflowId, status: 'pending', deduplicated: true });
+      await engine.waitForWorkflow(first.workflowId);
+      expect(mockIntegrations.taskMaster.generatePlan).toHaveBeenCalledTimes(1);
+      await engine.shutdown();
+    });
+
+    test('should only run the last submission within the debounce window', async () => {
+      const engine = await startEngine({ strategy: 'supersede', debounce: 1000 });
+
+      jest.useFakeTimers();
+      const submissions = [1, 2, 3].map(() => engine.submitWorkflow('Build the app', options));
+      await jest.advanceTimersByTimeAsync(1000);
+      jest.useRealTimers();
+
+      const results = await Promise.all(submissions.map(({ workflowId }) => engine.waitForWorkflow(workflowId)));
+      expect(results.map(result => result.success)).toEqual([false, false, true]);
+      expect(mockIntegrations.taskMaster.generatePlan).toHaveBeenCalledTimes(1);
+      await engine.shutdown();
+    });
+  });
+
+  describe('crash recovery', () => {
+    let directory;
+    let file;
+
+    const plan = {
+      steps: [
+        { id: 'first', type: 'analyze', integration: 'taskMaster', parameters: {} },
+        { id: 'second', type: 'analyze', integration: 'github', parameters: {} },
+        { id: 'commit', type: 'commit_changes', integration: 'github', parameters: {} }
+      ]
+    };
+
+    const storeWorkflow = async (steps) => {
+      const storage = new FileStorage({ file });
+      await storage.open();
+      storage.set('workflows', 'crashed', {
+        id: 'crashed',
+        instruction: 'Commit the generated changes',
+        options: {},
+        status: 'running',
+        createdAt: new Date().toISOString(),
+        plan,
+        planning: { attempts: [] },
+        steps
+      });
+      await storage.close();
+    };
+
+    const startEngine = async () => {
+      const engine = new OrchestrationEngine({
+        integrations: mockIntegrations,
+        logger: mockLogger,
+        config: { storage: { type: 'file', file } }
+      });
+      await engine.initialize();
+      return engine;
+    };
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'autodevops-recovery-'));
+      file = path.join(directory, 'state.jsonl');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should resume from the first incomplete step', async () => {
+      await storeWorkflow([
+        { ...plan.steps[0], status: 'completed', result: { type: 'analysis', data: {} } },
+        { ...plan.steps[1], status: 'running' }
+      ]);
+
+      const engine = await startEngine();
+      const result = await engine.waitForWorkflow('crashed');
+      await engine.shutdown();
+
+      expect(result.success).toBe(true);
+      expect(mockIntegrations.taskMaster.analyzeRequirements).not.toHaveBeenCalled();
+      expect(mockIntegrations.github.analyzeRequirements).toHaveBeenCalledTimes(1);
+      expect(mockIntegrations.github.commitChanges).toHaveBeenCalledTimes(1);
+    });
+
+    test('should mark the workflow interrupted instead of re-running a commit', async () => {
+      await storeWorkflow([
+        { ...plan.steps[0], status: 'completed', result: { type: 'analysis', data: {} } },
+        { ...plan.steps[1], status: 'completed', result: { type: 'analysis', data: {} } },
+        { ...plan.steps[2], status: 'running' }
+      ]);
+
+      const engine = await startEngine();
+      const workflow = await engine.getWorkflowStatus('crashed');
+      await engine.shutdown();
+
+      expect(workflow.status).toBe('interrupted');
+      expect(workflow.steps[2].status).toBe('interrupted');
+      expect(engine.activeWorkflows.size).toBe(0);
+      expect(mockIntegrations.github.commitChanges).not.toHaveBeenCalled();
+    });
   });
 
   describe('metrics', () => {
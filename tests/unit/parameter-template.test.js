@@ -0,0 +1,25 @@
+import { resolveTemplates, validateTemplates } from '../../src/utils/parameter-template.js';
+
+const scope = {
+  steps: {
+    generate: { data: { files: [{ path: 'a.js', content: '' }], language: 'javascript' } }
+  }
+};
+
+describe('parameter templates', () => {
+  test('should keep the referenced value for whole-value templates', () => {
+    const parameters = resolveTemplates({ files: '{{ steps.generate.data.files }}', branch: 'main' }, scope);
+    expect(parameters).toEqual({ files: scope.steps.generate.data.files, branch: 'main' });
+  });
+
+  test('should interpolate templates inside longer strings', () => {
+    expect(resolveTemplates(['Add {{steps.generate.data.language}} files'], scope)).toEqual(['Add javascript files']);
+  });
+
+  test('should reject templates that do not resolve or do not parse', () => {
+    expect(() => resolveTemplates({ files: '{{ steps.missing.data }}' }, scope)).toThrow('did not resolve');
+    expect(validateTemplates({ context: { files: '{{ steps. }}' } })).toEqual([
+      expect.objectContaining({ path: 'context.files' })
+    ]);
+  });
+});
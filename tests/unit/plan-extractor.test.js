@@ -0,0 +1,78 @@
+import { extractJsonPlan } from '../../src/utils/plan-extractor.js';
+
+describe('extractJsonPlan', () => {
+  test('should parse plain JSON without repairs', () => {
+    const { plan, repairs } = extractJsonPlan('{"steps": [], "priority": "high"}');
+
+    expect(plan).toEqual({ steps: [], priority: 'high' });
+    expect(repairs).toEqual([]);
+  });
+
+  test('should unwrap fenced JSON surrounded by prose', () => {
+    const response = [
+      'Here is the workflow plan you asked for:',
+      '```json',
+      '{ "steps": [{ "id": "analyze", "type": "analyze" }] }',
+      '```',
+      'Let me know if you need changes.'
+    ].join('\n');
+
+    const { plan, repairs } = extractJsonPlan(response);
+
+    expect(plan.steps[0].id).toBe('analyze');
+    expect(repairs).toContain('removed_code_fence');
+  });
+
+  test('should remove comments and trailing commas but keep URLs in strings', () => {
+    const response = `{
+      "steps": [
+        {
+          "type": "run_tests", // analyze, generate_code, run_tests
+          "parameters": { "baseUrl": "https://example.com" },
+        },
+      ],
+      /* total in seconds */
+      "estimatedDuration": 300
+    }`;
+
+    const { plan, repairs } = extractJsonPlan(response);
+
+    expect(plan.steps[0].parameters.baseUrl).toBe('https://example.com');
+    expect(plan.estimatedDuration).toBe(300);
+    expect(repairs).toEqual(expect.arrayContaining(['removed_comments', 'removed_trailing_commas']));
+  });
+
+  test('should close truncated output and drop the incomplete member', () => {
+    const response = '{"steps": [{"id": "a", "type": "analyze"}, {"id": "b", "type": "run_te';
+
+    const { plan, repairs } = extractJsonPlan(response);
+
+    expect(plan.steps).toEqual([{ id: 'a', type: 'analyze' }, { id: 'b' }]);
+    expect(repairs).toContain('closed_truncated_json');
+  });
+
+  test('should drop a string value cut off mid-way instead of closing it', () => {
+    const response = '{"steps": [{"id": "deploy", "parameters": {"environment": "production", "branch": "ma';
+
+    const { plan } = extractJsonPlan(response);
+
+    expect(plan.steps[0].parameters).toEqual({ environment: 'production' });
+  });
+
+  test('should skip braces in the prose before the plan', () => {
+    const { plan, repairs } = extractJsonPlan('Plan {not json} then {"steps":[]}');
+
+    expect(plan).toEqual({ steps: [] });
+    expect(repairs).toContain('removed_surrounding_text');
+  });
+
+  test('should report malformed JSON when no candidate parses', () => {
+    expect(() => extractJsonPlan('Plan {not json} then {still not json}'))
+      .toThrow('malformed JSON');
+  });
+
+  test('should throw when the response has no JSON object', () => {
+    expect(() => extractJsonPlan('I cannot help with that.'))
+      .toThrow('does not contain a JSON object');
+  });
+});
@@ -0,0 +1,56 @@
+import { wrapError, isRetryableError, computeBackoff } from '../../src/utils/retry-policy.js';
+
+const withStatus = (status, message = 'Request failed') => Object.assign(new Error(message), { status });
+
+describe('retry policy', () => {
+  test('should retry timeouts, server errors, rate limits and disconnects', () => {
+    expect(isRetryableError(Object.assign(new Error('Step timed out'), { code: 'STEP_TIMEOUT' }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('not connected'), { code: 'MCP_DISCONNECTED' }))).toBe(true);
+    expect(isRetryableError(withStatus(503))).toBe(true);
+    expect(isRetryableError(withStatus(429))).toBe(true);
+    expect(isRetryableError(withStatus(403, 'You have exceeded a secondary rate limit'))).toBe(true);
+  });
+
+  test('should treat validation and auth failures as fatal', () => {
+    expect(isRetryableError(withStatus(401))).toBe(false);
+    expect(isRetryableError(withStatus(403, 'Resource not accessible by integration'))).toBe(false);
+    expect(isRetryableError(withStatus(422))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('Invalid plan'), { name: 'ValidationError' }))).toBe(false);
+    expect(isRetryableError(new TypeError('integration.deploy is not a function'))).toBe(false);
+  });
+
+  test('should only retry steps that are not resumable when the call had no effect', () => {
+    const notResumable = { resumable: false };
+    const withCode = code => Object.assign(new Error(`connect ${code}`), { code });
+
+    expect(isRetryableError(withStatus(429), notResumable)).toBe(true);
+    expect(isRetryableError(withStatus(403, 'You have exceeded a secondary rate limit'), notResumable)).toBe(true);
+    expect(isRetryableError(withCode('ECONNREFUSED'), notResumable)).toBe(true);
+    expect(isRetryableError(withCode('EAI_AGAIN'), notResumable)).toBe(true);
+    expect(isRetryableError(Object.assign(withStatus(502), { retryable: true }), notResumable)).toBe(true);
+
+    expect(isRetryableError(withCode('STEP_TIMEOUT'), notResumable)).toBe(false);
+    expect(isRetryableError(withCode('ECONNRESET'), notResumable)).toBe(false);
+    expect(isRetryableError(withCode('EPIPE'), notResumable)).toBe(false);
+    expect(isRetryableError(withStatus(502), notResumable)).toBe(false);
+    expect(isRetryableError(new Error('socket hang up'), notResumable)).toBe(false);
+  });
+
+  test('should keep status and Retry-After when wrapping integration errors', () => {
+    const cause = Object.assign(new Error('Too Many Requests'), {
+      response: { status: 429, headers: { 'retry-after': '5' } }
+    });
+    const wrapped = wrapError('Task Master API error: 429 - Too Many Requests', cause);
+
+    expect(wrapped).toMatchObject({ status: 429, retryAfter: 5000, cause });
+    expect(isRetryableError(wrapped)).toBe(true);
+  });
+
+  test('should back off exponentially up to the maximum delay', () => {
+    const policy = { initialDelay: 1000, maxDelay: 5000, multiplier: 2, jitter: 0 };
+
+    expect([1, 2, 3, 4].map(attempt => computeBackoff(attempt, policy))).toEqual([1000, 2000, 4000, 5000]);
+    expect(computeBackoff(1, policy, { retryAfter: 3000 })).toBe(3000);
+    expect(computeBackoff(1, { ...policy, jitter: 0.5 })).toBeGreaterThanOrEqual(500);
+  });
+});
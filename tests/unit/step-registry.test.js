@@ -0,0 +1,51 @@
+import Joi from 'joi';
+import { StepRegistry } from '../../src/core/step-registry.js';
+import { defaultStepRegistry } from '../../src/core/builtin-steps.js';
+import { validatePlan } from '../../src/core/plan-schema.js';
+
+const notify = {
+  description: 'Post a message to a channel',
+  integrations: ['fastMCP'],
+  parameters: Joi.object({ channel: Joi.string().required() }),
+  handler: async ({ parameters }) => ({ type: 'notification', data: parameters })
+};
+
+describe('StepRegistry', () => {
+  test('should register the built-in step types', () => {
+    expect(defaultStepRegistry.types()).toEqual([
+      'analyze', 'generate_code', 'run_tests', 'commit_changes', 'create_pull_request', 'monitor', 'deploy'
+    ]);
+    expect(defaultStepRegistry.get('deploy').compensation.method).toBe('rollbackDeployment');
+  });
+
+  test('should reject duplicate types and invalid definitions', () => {
+    const registry = new StepRegistry().register('notify', notify);
+
+    expect(() => registry.register('notify', notify)).toThrow('Step type notify is already registered');
+    expect(() => registry.register('broken', { description: 'No handler', integrations: ['github'] }))
+      .toThrow('Invalid definition for step type broken: "handler" is required');
+  });
+
+  test('should validate plans against the registered parameter schemas', () => {
+    const registry = new StepRegistry().register('notify', notify);
+
+    expect(validatePlan({
+      steps: [{ id: 'ping', type: 'notify', integration: 'fastMCP', parameters: { channel: '#deploys' } }]
+    }, registry).errors).toEqual([]);
+
+    expect(validatePlan({
+      steps: [{ id: 'ping', type: 'notify', integration: 'github', parameters: {} }]
+    }, registry).errors.map(error => error.path)).toEqual(['steps[0].integration', 'steps[0].parameters.channel']);
+
+    expect(validatePlan({
+      steps: [{ id: 'ping', type: 'notify', integration: 'fastMCP', parameters: { channel: '#deploys' } }]
+    }).errors).toEqual([expect.objectContaining({ path: 'steps[0].type' })]);
+  });
+
+  test('should describe step types for the planning prompt', () => {
+    const registry = new StepRegistry().register('notify', notify);
+    expect(registry.describeForPlanning()).toBe(
+      '- notify (integration: fastMCP): Post a message to a channel. Parameters: channel.'
+    );
+  });
+});
@@ -0,0 +1,22 @@
+import { jest } from '@jest/globals';
+import { TaskMasterClient } from '../../src/integrations/taskmaster-client.js';
+
+function createClient(text) {
+  const client = new TaskMasterClient({ apiKey: 'key', endpoint: 'https://taskmaster.test', model: 'planner', temperature: 0.7 });
+  client.client = { post: jest.fn().mockResolvedValue({ data: { choices: [{ text }] } }) };
+  client.isInitialized = true;
+  return client;
+}
+
+describe('TaskMasterClient', () => {
+  test('should send the planning prompt as is', async () => {
+    const client = createClient('{ "steps": [] }');
+    const prompt = 'Only use these step types:\n- notify (integration: fastMCP): Post a message to a channel.';
+
+    await expect(client.generatePlan(prompt)).resolves.toBe('{ "steps": [] }');
+
+    const [, request] = client.client.post.mock.calls[0];
+    expect(request.prompt).toBe(prompt);
+    expect(request.temperature).toBe(0.2);
+  });
+});
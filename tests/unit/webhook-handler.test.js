@@ -0,0 +1,220 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { WebhookHandler } from '../../src/handlers/webhook-handler.js';
+
+const definition = `
+name: Smoke tests
+on:
+  push:
+    branches: [main]
+steps:
+  - id: test
+    type: run_tests
+    integration: playwright
+`;
+
+const repository = { name: 'orchestrator', owner: { login: 'acme' } };
+
+const pushPayload = {
+  repository,
+  pusher: { name: 'octocat' },
+  commits: [{ message: 'Fix the build' }],
+  ref: 'refs/heads/main',
+  after: 'abc123'
+};
+
+const pullRequestPayload = {
+  action: 'opened',
+  repository,
+  pull_request: {
+    number: 7,
+    title: 'Add retries',
+    body: null,
+    base: { ref: 'main' },
+    head: { ref: 'feature/retries', sha: 'def456' },
+    user: { login: 'octocat' }
+  }
+};
+
+const sign = (payload, secret) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex');
+
+const rateLimited = () => Object.assign(
+  new Error('Failed to list workflow definitions: API rate limit exceeded'),
+  { status: 403 }
+);
+
+describe('WebhookHandler', () => {
+  let engine;
+  let handler;
+
+  beforeEach(() => {
+    engine = {
+      integrations: {
+        github: {
+          getWorkflowDefinitions: jest.fn().mockResolvedValue([]),
+          createCommitStatus: jest.fn().mockResolvedValue({ id: 1 })
+        }
+      },
+      submitWorkflow: jest.fn().mockReturnValue({ workflowId: 'workflow-1', status: 'pending' }),
+      submitDefinition: jest.fn().mockReturnValue({ workflowId: 'workflow-2', status: 'pending' })
+    };
+    handler = new WebhookHandler(engine);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('repository workflow definitions', () => {
+    test('should run matching definitions instead of planning', async () => {
+      engine.integrations.github.getWorkflowDefinitions.mockResolvedValueOnce([
+        { path: '.autodevops/workflows/smoke.yml', content: definition }
+      ]);
+
+      await handler.handlePushEvent(pushPayload);
+
+      expect(engine.integrations.github.getWorkflowDefinitions).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: 'acme', repo: 'orchestrator', ref: 'abc123' })
+      );
+      expect(engine.submitDefinition).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'Smoke tests' }),
+        expect.objectContaining({ type: 'ci_cd', trigger: 'push', branch: 'main' })
+      );
+      expect(engine.submitWorkflow).not.toHaveBeenCalled();
+    });
+
+    test('should run the valid definitions when the commit status cannot be posted', async () => {
+      engine.integrations.github.getWorkflowDefinitions.mockResolvedValueOnce([
+        { path: '.autodevops/workflows/smoke.yml', content: definition },
+        { path: '.autodevops/workflows/broken.yml', content: 'name: Broken\non: {}\nsteps: []\n' }
+      ]);
+      engine.integrations.github.createCommitStatus.mockRejectedValueOnce(
+        Object.assign(new Error('Failed to create commit status: Resource not accessible by integration'), { status: 403 })
+      );
+
+      await handler.handlePushEvent(pushPayload);
+
+      expect(engine.integrations.github.createCommitStatus).toHaveBeenCalledWith(
+        expect.objectContaining({ sha: 'abc123', state: 'error' })
+      );
+      expect(engine.submitDefinition).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'Smoke tests' }),
+        expect.any(Object)
+      );
+    });
+
+    test('should plan a push when the definitions cannot be loaded', async () => {
+      engine.integrations.github.getWorkflowDefinitions.mockRejectedValueOnce(rateLimited());
+
+      await handler.handlePushEvent(pushPayload);
+
+      expect(engine.submitDefinition).not.toHaveBeenCalled();
+      expect(engine.submitWorkflow).toHaveBeenCalledWith(
+        expect.stringContaining('Fix the build'),
+        expect.objectContaining({ type: 'ci_cd', repository: 'orchestrator' })
+      );
+    });
+
+    test('should plan a pull request review when the definitions cannot be loaded', async () => {
+      engine.integrations.github.getWorkflowDefinitions.mockRejectedValueOnce(
+        Object.assign(new Error('Failed to read workflow definition: Service Unavailable'), { status: 503 })
+      );
+
+      await handler.handlePullRequestEvent(pullRequestPayload);
+
+      expect(engine.submitWorkflow).toHaveBeenCalledWith(
+        expect.stringContaining('Review pull request #7'),
+        expect.objectContaining({ type: 'pr_review', pr_number: 7 })
+      );
+    });
+
+    test('should remediate a critical alert when the definitions cannot be loaded', async () => {
+      engine.integrations.github.getWorkflowDefinitions.mockRejectedValueOnce(rateLimited());
+
+      await handler.handlePhoenixAlert({ severity: 'critical', message: 'Error rate above 5%' });
+
+      expect(engine.submitWorkflow).toHaveBeenCalledWith(
+        expect.stringContaining('Error rate above 5%'),
+        expect.objectContaining({ type: 'incident_response', priority: 'critical' })
+      );
+    });
+  });
+
+  describe('routes', () => {
+    const secret = 'webhook-secret';
+    let app;
+
+    beforeEach(() => {
+      process.env.GITHUB_WEBHOOK_SECRET = secret;
+      app = express();
+      app.use(express.json());
+      app.use('/webhook', handler.getRouter());
+    });
+
+    afterEach(() => {
+      delete process.env.GITHUB_WEBHOOK_SECRET;
+    });
+
+    test('should acknowledge GitHub deliveries before processing them', async () => {
+      let loadDefinitions;
+      engine.integrations.github.getWorkflowDefinitions.mockImplementationOnce(() => new Promise(resolve => {
+        loadDefinitions = resolve;
+      }));
+
+      const response = await request(app)
+        .post('/webhook/github')
+        .set('x-github-event', 'push')
+        .set('x-hub-signature-256', sign(pushPayload, secret))
+        .send(pushPayload);
+
+      expect(response.status).toBe(202);
+      expect(engine.submitWorkflow).not.toHaveBeenCalled();
+
+      loadDefinitions([]);
+      for (let turn = 0; turn < 10 && !engine.submitWorkflow.mock.calls.length; turn++) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      expect(engine.submitWorkflow).toHaveBeenCalledWith(
+        expect.stringContaining('Fix the build'),
+        expect.objectContaining({ type: 'ci_cd' })
+      );
+    });
+
+    test('should reject GitHub deliveries with a wrong signature', async () => {
+      const response = await request(app)
+        .post('/webhook/github')
+        .set('x-github-event', 'push')
+        .set('x-hub-signature-256', sign(pushPayload, 'another-secret'))
+        .send(pushPayload);
+
+      expect(response.status).toBe(401);
+      expect(engine.integrations.github.getWorkflowDefinitions).not.toHaveBeenCalled();
+    });
+
+    test('should acknowledge Phoenix alerts and handle them in the background', async () => {
+      const response = await request(app)
+        .post('/webhook/phoenix')
+        .send({ type: 'alert', data: { severity: 'critical', message: 'Error rate above 5%' } });
+
+      expect(response.status).toBe(202);
+      for (let turn = 0; turn < 10 && !engine.submitWorkflow.mock.calls.length; turn++) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      expect(engine.submitWorkflow).toHaveBeenCalledWith(
+        expect.stringContaining('Error rate above 5%'),
+        expect.objectContaining({ type: 'incident_response' })
+      );
+    });
+
+    test('should validate Phoenix webhooks', async () => {
+      const response = await request(app).post('/webhook/phoenix').send({ type: 'alert' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
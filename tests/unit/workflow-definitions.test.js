@@ -0,0 +1,74 @@
+import { parseWorkflowDefinition, matchesTrigger } from '../../src/core/workflow-definitions.js';
+
+const source = `
+name: Release checks
+on:
+  push:
+    branches: [main, 'release/*']
+  pull_request:
+    actions: [opened]
+  alert:
+    severities: [critical, warning]
+steps:
+  - id: test
+    type: run_tests
+    integration: playwright
+    parameters:
+      testSuite: smoke
+    timeout: 120000
+`;
+
+describe('workflow definitions', () => {
+  test('should parse a definition into triggers and a validated plan', () => {
+    const { definition, errors } = parseWorkflowDefinition(source, '.autodevops/workflows/release.yml');
+
+    expect(errors).toEqual([]);
+    expect(definition.name).toBe('Release checks');
+    expect(definition.path).toBe('.autodevops/workflows/release.yml');
+    expect(definition.plan.steps[0]).toEqual(expect.objectContaining({
+      id: 'test',
+      timeout: 120000,
+      retryCount: 2
+    }));
+    expect(definition.on.pull_request.branches).toEqual(['*']);
+  });
+
+  test('should report trigger and step errors together', () => {
+    const { definition, errors } = parseWorkflowDefinition(`
+name: Broken
+on:
+  schedule: daily
+steps:
+  - type: deploy
+    integration: playwright
+`, 'broken.yml');
+
+    const paths = errors.map(error => error.path);
+    expect(definition).toBeNull();
+    expect(paths).toEqual(expect.arrayContaining(['on.schedule', 'steps[0].integration']));
+  });
+
+  test('should report invalid YAML', () => {
+    const { errors } = parseWorkflowDefinition('name: [unclosed', 'bad.yml');
+
+    expect(errors[0].message).toContain('Invalid YAML');
+  });
+
+  test('should match push branches with globs', () => {
+    const { definition } = parseWorkflowDefinition(source, 'release.yml');
+
+    expect(matchesTrigger(definition, { type: 'push', branch: 'main' })).toBe(true);
+    expect(matchesTrigger(definition, { type: 'push', branch: 'release/1.2' })).toBe(true);
+    expect(matchesTrigger(definition, { type: 'push', branch: 'release/1.2/hotfix' })).toBe(false);
+    expect(matchesTrigger(definition, { type: 'push', branch: 'feature/x' })).toBe(false);
+  });
+
+  test('should match pull request actions and alert severities', () => {
+    const { definition } = parseWorkflowDefinition(source, 'release.yml');
+
+    expect(matchesTrigger(definition, { type: 'pull_request', action: 'opened', branch: 'main' })).toBe(true);
+    expect(matchesTrigger(definition, { type: 'pull_request', action: 'synchronize', branch: 'main' })).toBe(false);
+    expect(matchesTrigger(definition, { type: 'alert', severity: 'warning' })).toBe(true);
+    expect(matchesTrigger(definition, { type: 'alert', severity: 'info' })).toBe(false);
+  });
+});
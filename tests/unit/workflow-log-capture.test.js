@@ -0,0 +1,48 @@
+import winston from 'winston';
+import { runWithLogContext, logContextFormat } from '../../src/utils/log-context.js';
+import { WorkflowLogCapture } from '../../src/utils/workflow-log-capture.js';
+
+describe('WorkflowLogCapture', () => {
+  let capture;
+  let logger;
+
+  beforeEach(() => {
+    capture = new WorkflowLogCapture({ maxEntries: 3 });
+    logger = winston.createLogger({
+      level: 'debug',
+      format: winston.format.combine(logContextFormat(), winston.format.colorize()),
+      transports: [capture]
+    });
+  });
+
+  test('should keep entries per workflow with the step they were logged for', async () => {
+    logger.info('not part of a workflow');
+    await runWithLogContext({ workflowId: 'wf-1' }, async () => {
+      logger.info('planning');
+      await runWithLogContext({ stepId: 'build' }, async () => {
+        await Promise.resolve();
+        logger.warn('slow build');
+      });
+    });
+
+    expect(capture.query('wf-1')).toEqual([
+      expect.objectContaining({ level: 'info', message: 'planning', workflowId: 'wf-1', stepId: null }),
+      expect.objectContaining({ level: 'warn', message: 'slow build', workflowId: 'wf-1', stepId: 'build' })
+    ]);
+    expect(capture.query('wf-1', { level: 'warn' }).map(entry => entry.message)).toEqual(['slow build']);
+    expect(capture.has('wf-2')).toBe(false);
+  });
+
+  test('should drop the oldest entries and notify subscribers', () => {
+    const received = [];
+    const stop = capture.subscribe('wf-1', { level: 'warn' }, entry => received.push(entry.message));
+
+    ['one', 'two', 'three', 'four'].forEach(message => logger.warn(message, { workflowId: 'wf-1' }));
+    logger.debug('too verbose', { workflowId: 'wf-1' });
+    stop();
+    logger.error('after unsubscribing', { workflowId: 'wf-1' });
+
+    expect(received).toEqual(['one', 'two', 'three', 'four']);
+    expect(capture.query('wf-1').map(entry => entry.message)).toEqual(['four', 'too verbose', 'after unsubscribing']);
+  });
+});
@@ -0,0 +1,74 @@
+import { queryWorkflows, parseLabels, decodeCursor } from '../../src/core/workflow-query.js';
+
+const workflow = (id, overrides = {}) => ({
+  id,
+  instruction: `Workflow ${id}`,
+  status: 'completed',
+  createdAt: `2024-01-0${id}T00:00:00.000Z`,
+  options: {},
+  ...overrides
+});
+
+const workflows = [
+  workflow('1', { options: { type: 'ci_cd', trigger: 'push', repository: 'api', labels: { team: 'payments' } } }),
+  workflow('2', { status: 'failed', options: { type: 'pr_review', repository: 'api', priority: 'high' } }),
+  workflow('3', { instruction: 'Deploy the checkout service', options: { labels: { team: 'payments', service: 'checkout' } } }),
+  workflow('4', { status: 'running', options: { type: 'ci_cd', repository: 'web' }, plan: { priority: 'critical' } }),
+  workflow('5', { status: 'failed', options: { type: 'ci_cd', repository: 'api' } })
+];
+
+const ids = result => result.workflows.map(({ id }) => id);
+
+describe('queryWorkflows', () => {
+  test('should return the newest workflows first by default', () => {
+    expect(ids(queryWorkflows(workflows))).toEqual(['5', '4', '3', '2', '1']);
+  });
+
+  test('should filter by status, type, repository and priority', () => {
+    expect(ids(queryWorkflows(workflows, { status: 'failed,running' }))).toEqual(['5', '4', '2']);
+    expect(ids(queryWorkflows(workflows, { type: 'ci_cd', repository: 'api' }))).toEqual(['5', '1']);
+    expect(ids(queryWorkflows(workflows, { trigger: 'push' }))).toEqual(['1']);
+    expect(ids(queryWorkflows(workflows, { priority: 'critical' }))).toEqual(['4']);
+  });
+
+  test('should filter by creation date range and instruction text', () => {
+    const range = { createdAfter: '2024-01-02T00:00:00.000Z', createdBefore: '2024-01-03T12:00:00.000Z' };
+    expect(ids(queryWorkflows(workflows, range))).toEqual(['3', '2']);
+    expect(ids(queryWorkflows(workflows, { search: 'CHECKOUT' }))).toEqual(['3']);
+  });
+
+  test('should require every requested label', () => {
+    expect(ids(queryWorkflows(workflows, { labels: { team: 'payments' } }))).toEqual(['3', '1']);
+    expect(ids(queryWorkflows(workflows, { labels: parseLabels(['team:payments', 'service:checkout']) })))
+      .toEqual(['3']);
+  });
+
+  test('should page through results with a cursor', () => {
+    const first = queryWorkflows(workflows, { sort: 'createdAt', order: 'asc', limit: 2 });
+    expect(ids(first)).toEqual(['1', '2']);
+    expect(first.total).toBe(5);
+
+    const second = queryWorkflows(workflows, { order: 'asc', limit: 2, cursor: first.nextCursor });
+    expect(ids(second)).toEqual(['3', '4']);
+
+    const third = queryWorkflows(workflows, { order: 'asc', limit: 2, cursor: second.nextCursor });
+    expect(ids(third)).toEqual(['5']);
+    expect(third.nextCursor).toBeNull();
+  });
+
+  test('should sort by priority with ties broken by id', () => {
+    expect(ids(queryWorkflows(workflows, { sort: 'priority', limit: 2 }))).toEqual(['4', '2']);
+  });
+
+  test('should treat workflows without a priority as medium', () => {
+    const ranked = [workflow('1', { options: { priority: 'low' } }), workflow('2')];
+
+    expect(ids(queryWorkflows(ranked, { sort: 'priority', order: 'asc' }))).toEqual(['1', '2']);
+    expect(ids(queryWorkflows(ranked, { priority: 'medium' }))).toEqual(['2']);
+  });
+
+  test('should reject malformed cursors and labels', () => {
+    expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid pagination cursor');
+    expect(() => parseLabels('team')).toThrow('name:value');
+  });
+});
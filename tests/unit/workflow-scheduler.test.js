@@ -0,0 +1,79 @@
+import { WorkflowScheduler } from '../../src/core/workflow-scheduler.js';
+
+const workflow = (id, options = {}) => ({ id, options });
+
+describe('WorkflowScheduler', () => {
+  test('should queue workflows beyond the global limit', async () => {
+    const scheduler = new WorkflowScheduler({ maxConcurrent: 1 });
+    const first = workflow('first');
+    const second = workflow('second');
+
+    await scheduler.acquire(first);
+    const admitted = scheduler.acquire(second);
+
+    expect(second.queuePosition).toBe(1);
+    expect(scheduler.getStats()).toEqual({ running: 1, queued: 1, maxConcurrent: 1 });
+
+    scheduler.release('first');
+    await admitted;
+    expect(second.queuePosition).toBeUndefined();
+  });
+
+  test('should admit by priority with critical workflows first', async () => {
+    const scheduler = new WorkflowScheduler({ maxConcurrent: 1 });
+    await scheduler.acquire(workflow('running'));
+
+    const admitted = [];
+    const low = workflow('low', { priority: 'low' });
+    const medium = workflow('medium');
+    const critical = workflow('critical', { type: 'incident_response', priority: 'critical' });
+
+    for (const queued of [low, medium, critical]) {
+      scheduler.acquire(queued).then(() => admitted.push(queued.id));
+    }
+    expect([critical, medium, low].map(queued => queued.queuePosition)).toEqual([1, 2, 3]);
+
+    for (const id of ['running', 'critical', 'medium']) {
+      scheduler.release(id);
+      await Promise.resolve();
+    }
+    expect(admitted).toEqual(['critical', 'medium', 'low']);
+  });
+
+  test('should skip workflows whose type is at its limit', async () => {
+    const scheduler = new WorkflowScheduler({ maxConcurrent: 3, typeLimits: { ci_cd: 1 } });
+    await scheduler.acquire(workflow('build-1', { type: 'ci_cd' }));
+
+    const blocked = workflow('build-2', { type: 'ci_cd', priority: 'high' });
+    scheduler.acquire(blocked);
+    await scheduler.acquire(workflow('review', { type: 'pr_review' }));
+
+    expect(blocked.queuePosition).toBe(1);
+    expect(scheduler.getStats().running).toBe(2);
+  });
+
+  test('should reject cancelled workflows that are still queued', async () => {
+    const scheduler = new WorkflowScheduler({ maxConcurrent: 1 });
+    await scheduler.acquire(workflow('running'));
+
+    const admitted = scheduler.acquire(workflow('queued'));
+    expect(scheduler.cancel('queued', new Error('Workflow queued was cancelled'))).toBe(true);
+
+    await expect(admitted).rejects.toThrow('was cancelled');
+    expect(scheduler.getQueuePosition('queued')).toBeNull();
+  });
+
+  test('should keep one place in the queue for repeated requests', async () => {
+    const scheduler = new WorkflowScheduler({ maxConcurrent: 1 });
+    await scheduler.acquire(workflow('running'));
+
+    const queued = workflow('queued');
+    const admitted = [scheduler.acquire(queued), scheduler.acquire(queued)];
+    expect(scheduler.getStats().queued).toBe(1);
+
+    scheduler.release('running');
+    await Promise.all(admitted);
+    expect(scheduler.isRunning('queued')).toBe(true);
+    expect(scheduler.getStats()).toEqual({ running: 1, queued: 0, maxConcurrent: 1 });
+  });
+});